@@ -0,0 +1,119 @@
+package com.example.OnionSkinningProject.controller;
+
+import com.example.OnionSkinningProject.dto.FrameResponse;
+import com.example.OnionSkinningProject.dto.ProjectRequest;
+import com.example.OnionSkinningProject.dto.ProjectResponse;
+import com.example.OnionSkinningProject.model.Frame;
+import com.example.OnionSkinningProject.service.ProjectService;
+import org.springframework.http.HttpStatus;
+import org.springframework.http.MediaType;
+import org.springframework.http.ResponseEntity;
+import org.springframework.web.bind.annotation.DeleteMapping;
+import org.springframework.web.bind.annotation.GetMapping;
+import org.springframework.web.bind.annotation.PathVariable;
+import org.springframework.web.bind.annotation.PostMapping;
+import org.springframework.web.bind.annotation.PutMapping;
+import org.springframework.web.bind.annotation.RequestBody;
+import org.springframework.web.bind.annotation.RequestMapping;
+import org.springframework.web.bind.annotation.RequestParam;
+import org.springframework.web.bind.annotation.ResponseStatus;
+import org.springframework.web.bind.annotation.RestController;
+import org.springframework.web.multipart.MultipartFile;
+
+import java.io.IOException;
+import java.util.List;
+import java.util.Map;
+
+@RestController
+@RequestMapping("/api/projects")
+public class ProjectApiController {
+
+    private final ProjectService projectService;
+
+    public ProjectApiController(ProjectService projectService) {
+        this.projectService = projectService;
+    }
+
+    @GetMapping
+    public List<ProjectResponse> listProjects() {
+        return projectService.listProjects();
+    }
+
+    @PostMapping
+    @ResponseStatus(HttpStatus.CREATED)
+    public ProjectResponse createProject(@RequestBody ProjectRequest request) {
+        return projectService.createProject(request);
+    }
+
+    @GetMapping("/{id}")
+    public ProjectResponse getProject(@PathVariable String id) {
+        return projectService.getProject(id);
+    }
+
+    @PutMapping("/{id}")
+    public ProjectResponse saveProject(@PathVariable String id, @RequestBody ProjectRequest request) {
+        return projectService.saveProject(id, request);
+    }
+
+    @DeleteMapping("/{id}")
+    @ResponseStatus(HttpStatus.NO_CONTENT)
+    public void deleteProject(@PathVariable String id) {
+        projectService.deleteProject(id);
+    }
+
+    @GetMapping("/{id}/frames")
+    public List<FrameResponse> listFrames(@PathVariable String id) {
+        return projectService.listFrames(id);
+    }
+
+    @PostMapping(value = "/{id}/frames", consumes = MediaType.MULTIPART_FORM_DATA_VALUE)
+    @ResponseStatus(HttpStatus.CREATED)
+    public FrameResponse uploadFrame(@PathVariable String id,
+                                     @RequestParam("file") MultipartFile file,
+                                     @RequestParam(value = "frameId", required = false) String frameId,
+                                     @RequestParam(value = "timestamp", required = false) Long timestamp,
+                                     @RequestParam(value = "position", required = false) Integer position,
+                                     @RequestParam(value = "hold", required = false) Integer hold,
+                                     @RequestParam(value = "edits", required = false) String edits,
+                                     @RequestParam(value = "annotations", required = false) String annotations)
+            throws IOException {
+        return projectService.addFrame(id, frameId, timestamp, position, hold, edits, annotations,
+                file.getContentType(), file.getBytes());
+    }
+
+    @GetMapping("/{id}/frames/{frameId}/image")
+    public ResponseEntity<byte[]> getFrameImage(@PathVariable String id, @PathVariable String frameId) {
+        Frame frame = projectService.getFrame(id, frameId);
+        return ResponseEntity.ok()
+                .contentType(MediaType.parseMediaType(frame.getContentType()))
+                .body(frame.getData());
+    }
+
+    @PutMapping("/{id}/frames/order")
+    public List<FrameResponse> reorderFrames(@PathVariable String id, @RequestBody List<String> order) {
+        return projectService.reorderFrames(id, order);
+    }
+
+    @PutMapping("/{id}/frames/{frameId}/hold")
+    public FrameResponse setFrameHold(@PathVariable String id, @PathVariable String frameId, @RequestBody int hold) {
+        return projectService.setFrameHold(id, frameId, hold);
+    }
+
+    @PutMapping("/{id}/frames/{frameId}/edits")
+    public FrameResponse setFrameEdits(@PathVariable String id, @PathVariable String frameId,
+                                       @RequestBody(required = false) Map<String, Object> edits) {
+        return projectService.setFrameEdits(id, frameId, edits);
+    }
+
+    @PutMapping("/{id}/frames/{frameId}/annotations")
+    public FrameResponse setFrameAnnotations(@PathVariable String id, @PathVariable String frameId,
+                                             @RequestBody(required = false) List<Object> annotations) {
+        return projectService.setFrameAnnotations(id, frameId, annotations);
+    }
+
+    @DeleteMapping("/{id}/frames/{frameId}")
+    @ResponseStatus(HttpStatus.NO_CONTENT)
+    public void deleteFrame(@PathVariable String id, @PathVariable String frameId) {
+        projectService.deleteFrame(id, frameId);
+    }
+}
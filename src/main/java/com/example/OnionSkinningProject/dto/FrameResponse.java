@@ -0,0 +1,8 @@
+package com.example.OnionSkinningProject.dto;
+
+import java.util.List;
+import java.util.Map;
+
+public record FrameResponse(String id, int position, long timestamp, String contentType, long size, int hold,
+                            Map<String, Object> edits, List<Object> annotations, String url) {
+}
@@ -0,0 +1,6 @@
+package com.example.OnionSkinningProject.dto;
+
+import java.util.Map;
+
+public record ProjectRequest(String id, String name, Long createdAt, Long updatedAt, Map<String, Object> settings) {
+}
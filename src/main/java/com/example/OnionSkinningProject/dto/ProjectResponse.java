@@ -0,0 +1,6 @@
+package com.example.OnionSkinningProject.dto;
+
+import java.util.Map;
+
+public record ProjectResponse(String id, String name, long createdAt, long updatedAt, Map<String, Object> settings, long frameCount) {
+}
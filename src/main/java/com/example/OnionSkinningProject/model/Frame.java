@@ -0,0 +1,108 @@
+package com.example.OnionSkinningProject.model;
+
+import jakarta.persistence.Column;
+import jakarta.persistence.Entity;
+import jakarta.persistence.Id;
+import jakarta.persistence.Table;
+import org.hibernate.annotations.ColumnDefault;
+
+@Entity
+@Table(name = "frames")
+public class Frame {
+
+    @Id
+    private String id;
+
+    @Column(nullable = false)
+    private String projectId;
+
+    private int sortOrder;
+
+    private long timestamp;
+
+    private String contentType;
+
+    private long size;
+
+    @ColumnDefault("1")
+    private int hold = 1;
+
+    // Non-destructive edits as JSON; the stored image is always the original.
+    @Column(length = 10_000)
+    private String edits;
+
+    // Annotation shapes as a JSON array in normalized coordinates, drawn over the image.
+    @Column(length = 1_000_000)
+    private String annotations;
+
+    @Column(nullable = false, length = 20_000_000)
+    private byte[] data;
+
+    protected Frame() {
+    }
+
+    public Frame(String id, String projectId, long timestamp, String contentType, byte[] data) {
+        this.id = id;
+        this.projectId = projectId;
+        this.timestamp = timestamp;
+        this.contentType = contentType;
+        this.data = data;
+        this.size = data.length;
+    }
+
+    public String getId() {
+        return id;
+    }
+
+    public String getProjectId() {
+        return projectId;
+    }
+
+    public int getSortOrder() {
+        return sortOrder;
+    }
+
+    public void setSortOrder(int sortOrder) {
+        this.sortOrder = sortOrder;
+    }
+
+    public long getTimestamp() {
+        return timestamp;
+    }
+
+    public String getContentType() {
+        return contentType;
+    }
+
+    public long getSize() {
+        return size;
+    }
+
+    public int getHold() {
+        return hold;
+    }
+
+    public void setHold(int hold) {
+        this.hold = hold;
+    }
+
+    public String getEdits() {
+        return edits;
+    }
+
+    public void setEdits(String edits) {
+        this.edits = edits;
+    }
+
+    public String getAnnotations() {
+        return annotations;
+    }
+
+    public void setAnnotations(String annotations) {
+        this.annotations = annotations;
+    }
+
+    public byte[] getData() {
+        return data;
+    }
+}
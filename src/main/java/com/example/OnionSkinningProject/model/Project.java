@@ -0,0 +1,70 @@
+package com.example.OnionSkinningProject.model;
+
+import jakarta.persistence.Column;
+import jakarta.persistence.Entity;
+import jakarta.persistence.Id;
+import jakarta.persistence.Table;
+
+@Entity
+@Table(name = "projects")
+public class Project {
+
+    @Id
+    private String id;
+
+    @Column(nullable = false)
+    private String name;
+
+    private long createdAt;
+
+    private long updatedAt;
+
+    @Column(length = 10000)
+    private String settings;
+
+    protected Project() {
+    }
+
+    public Project(String id, String name) {
+        this.id = id;
+        this.name = name;
+        this.createdAt = System.currentTimeMillis();
+        this.updatedAt = this.createdAt;
+    }
+
+    public String getId() {
+        return id;
+    }
+
+    public String getName() {
+        return name;
+    }
+
+    public void setName(String name) {
+        this.name = name;
+    }
+
+    public long getCreatedAt() {
+        return createdAt;
+    }
+
+    public void setCreatedAt(long createdAt) {
+        this.createdAt = createdAt;
+    }
+
+    public long getUpdatedAt() {
+        return updatedAt;
+    }
+
+    public void setUpdatedAt(long updatedAt) {
+        this.updatedAt = updatedAt;
+    }
+
+    public String getSettings() {
+        return settings;
+    }
+
+    public void setSettings(String settings) {
+        this.settings = settings;
+    }
+}
@@ -0,0 +1,45 @@
+package com.example.OnionSkinningProject.repository;
+
+import com.example.OnionSkinningProject.model.Frame;
+import org.springframework.data.jpa.repository.JpaRepository;
+import org.springframework.data.jpa.repository.Modifying;
+import org.springframework.data.jpa.repository.Query;
+import org.springframework.data.repository.query.Param;
+
+import java.util.List;
+import java.util.Optional;
+
+public interface FrameRepository extends JpaRepository<Frame, String> {
+
+    interface FrameSummary {
+        String getId();
+
+        int getSortOrder();
+
+        long getTimestamp();
+
+        String getContentType();
+
+        long getSize();
+
+        int getHold();
+
+        String getEdits();
+
+        String getAnnotations();
+    }
+
+    List<FrameSummary> findByProjectIdOrderBySortOrderAsc(String projectId);
+
+    Optional<Frame> findByIdAndProjectId(String id, String projectId);
+
+    long countByProjectId(String projectId);
+
+    @Modifying
+    @Query("update Frame f set f.sortOrder = :sortOrder where f.id = :id and f.projectId = :projectId")
+    int updateSortOrder(@Param("projectId") String projectId, @Param("id") String id, @Param("sortOrder") int sortOrder);
+
+    @Modifying
+    @Query("delete from Frame f where f.projectId = :projectId")
+    int deleteAllByProjectId(@Param("projectId") String projectId);
+}
@@ -0,0 +1,7 @@
+package com.example.OnionSkinningProject.repository;
+
+import com.example.OnionSkinningProject.model.Project;
+import org.springframework.data.jpa.repository.JpaRepository;
+
+public interface ProjectRepository extends JpaRepository<Project, String> {
+}
@@ -0,0 +1,270 @@
+package com.example.OnionSkinningProject.service;
+
+import com.example.OnionSkinningProject.dto.FrameResponse;
+import com.example.OnionSkinningProject.dto.ProjectRequest;
+import com.example.OnionSkinningProject.dto.ProjectResponse;
+import com.example.OnionSkinningProject.model.Frame;
+import com.example.OnionSkinningProject.model.Project;
+import com.example.OnionSkinningProject.repository.FrameRepository;
+import com.example.OnionSkinningProject.repository.FrameRepository.FrameSummary;
+import com.example.OnionSkinningProject.repository.ProjectRepository;
+import org.springframework.http.HttpStatus;
+import org.springframework.stereotype.Service;
+import org.springframework.transaction.annotation.Transactional;
+import org.springframework.web.server.ResponseStatusException;
+import tools.jackson.core.JacksonException;
+import tools.jackson.core.type.TypeReference;
+import tools.jackson.databind.ObjectMapper;
+
+import java.util.ArrayList;
+import java.util.LinkedHashSet;
+import java.util.List;
+import java.util.Map;
+import java.util.Set;
+import java.util.UUID;
+
+@Service
+public class ProjectService {
+
+    private static final TypeReference<Map<String, Object>> JSON_OBJECT_TYPE = new TypeReference<>() {
+    };
+    private static final TypeReference<List<Object>> JSON_ARRAY_TYPE = new TypeReference<>() {
+    };
+
+    private final ProjectRepository projects;
+    private final FrameRepository frames;
+    private final ObjectMapper objectMapper;
+
+    public ProjectService(ProjectRepository projects, FrameRepository frames, ObjectMapper objectMapper) {
+        this.projects = projects;
+        this.frames = frames;
+        this.objectMapper = objectMapper;
+    }
+
+    @Transactional(readOnly = true)
+    public List<ProjectResponse> listProjects() {
+        return projects.findAll().stream()
+                .map(this::toResponse)
+                .toList();
+    }
+
+    @Transactional(readOnly = true)
+    public ProjectResponse getProject(String id) {
+        return toResponse(findProject(id));
+    }
+
+    @Transactional
+    public ProjectResponse createProject(ProjectRequest request) {
+        String id = request.id() != null ? request.id() : "project-" + UUID.randomUUID();
+        if (projects.existsById(id)) {
+            throw new ResponseStatusException(HttpStatus.CONFLICT, "Project " + id + " already exists");
+        }
+        Project project = new Project(id, request.name() != null ? request.name() : "My Animation");
+        applyRequest(project, request);
+        return toResponse(projects.save(project));
+    }
+
+    @Transactional
+    public ProjectResponse saveProject(String id, ProjectRequest request) {
+        Project project = projects.findById(id)
+                .orElseGet(() -> new Project(id, request.name() != null ? request.name() : "My Animation"));
+        applyRequest(project, request);
+        return toResponse(projects.save(project));
+    }
+
+    @Transactional
+    public void deleteProject(String id) {
+        Project project = findProject(id);
+        frames.deleteAllByProjectId(project.getId());
+        projects.delete(project);
+    }
+
+    @Transactional(readOnly = true)
+    public List<FrameResponse> listFrames(String projectId) {
+        findProject(projectId);
+        List<FrameSummary> summaries = frames.findByProjectIdOrderBySortOrderAsc(projectId);
+        List<FrameResponse> result = new ArrayList<>();
+        for (int i = 0; i < summaries.size(); i++) {
+            result.add(toResponse(projectId, summaries.get(i), i));
+        }
+        return result;
+    }
+
+    @Transactional
+    public FrameResponse addFrame(String projectId, String frameId, Long timestamp, Integer position, Integer hold,
+                                  String edits, String annotations, String contentType, byte[] data) {
+        Project project = findProject(projectId);
+        String id = frameId != null ? frameId : "frame-" + UUID.randomUUID();
+        if (frames.existsById(id)) {
+            throw new ResponseStatusException(HttpStatus.CONFLICT, "Frame " + id + " already exists");
+        }
+
+        List<String> order = frameIds(projectId);
+        int index = position == null ? order.size() : Math.max(0, Math.min(position, order.size()));
+        order.add(index, id);
+
+        Frame frame = new Frame(id, projectId,
+                timestamp != null ? timestamp : System.currentTimeMillis(),
+                contentType != null ? contentType : "application/octet-stream",
+                data);
+        frame.setSortOrder(index);
+        frame.setHold(hold != null ? Math.max(1, hold) : 1);
+        if (edits != null && !edits.isBlank()) {
+            frame.setEdits(objectMapper.writeValueAsString(parseParam("edits", edits, JSON_OBJECT_TYPE)));
+        }
+        if (annotations != null && !annotations.isBlank()) {
+            frame.setAnnotations(writeAnnotations(parseParam("annotations", annotations, JSON_ARRAY_TYPE)));
+        }
+        frames.save(frame);
+        frames.flush();
+        applyOrder(projectId, order);
+        touch(project);
+
+        return toResponse(frame, index);
+    }
+
+    @Transactional(readOnly = true)
+    public Frame getFrame(String projectId, String frameId) {
+        return frames.findByIdAndProjectId(frameId, projectId)
+                .orElseThrow(() -> new ResponseStatusException(HttpStatus.NOT_FOUND, "Frame " + frameId + " not found"));
+    }
+
+    @Transactional
+    public List<FrameResponse> reorderFrames(String projectId, List<String> requestedOrder) {
+        Project project = findProject(projectId);
+        List<String> current = frameIds(projectId);
+        Set<String> known = new LinkedHashSet<>(current);
+
+        List<String> order = new ArrayList<>();
+        for (String id : requestedOrder) {
+            if (known.remove(id)) {
+                order.add(id);
+            }
+        }
+        order.addAll(known);
+
+        applyOrder(projectId, order);
+        touch(project);
+        return listFrames(projectId);
+    }
+
+    @Transactional
+    public FrameResponse setFrameHold(String projectId, String frameId, int hold) {
+        Project project = findProject(projectId);
+        Frame frame = getFrame(projectId, frameId);
+        frame.setHold(Math.max(1, hold));
+        frames.save(frame);
+        touch(project);
+        return toResponse(frame, frame.getSortOrder());
+    }
+
+    @Transactional
+    public FrameResponse setFrameEdits(String projectId, String frameId, Map<String, Object> edits) {
+        Project project = findProject(projectId);
+        Frame frame = getFrame(projectId, frameId);
+        frame.setEdits(edits != null ? objectMapper.writeValueAsString(edits) : null);
+        frames.save(frame);
+        touch(project);
+        return toResponse(frame, frame.getSortOrder());
+    }
+
+    @Transactional
+    public FrameResponse setFrameAnnotations(String projectId, String frameId, List<Object> annotations) {
+        Project project = findProject(projectId);
+        Frame frame = getFrame(projectId, frameId);
+        frame.setAnnotations(writeAnnotations(annotations));
+        frames.save(frame);
+        touch(project);
+        return toResponse(frame, frame.getSortOrder());
+    }
+
+    @Transactional
+    public void deleteFrame(String projectId, String frameId) {
+        Project project = findProject(projectId);
+        frames.delete(getFrame(projectId, frameId));
+        frames.flush();
+        applyOrder(projectId, frameIds(projectId));
+        touch(project);
+    }
+
+    private Project findProject(String id) {
+        return projects.findById(id)
+                .orElseThrow(() -> new ResponseStatusException(HttpStatus.NOT_FOUND, "Project " + id + " not found"));
+    }
+
+    private List<String> frameIds(String projectId) {
+        return new ArrayList<>(frames.findByProjectIdOrderBySortOrderAsc(projectId).stream()
+                .map(FrameSummary::getId)
+                .toList());
+    }
+
+    private void applyOrder(String projectId, List<String> order) {
+        for (int i = 0; i < order.size(); i++) {
+            frames.updateSortOrder(projectId, order.get(i), i);
+        }
+    }
+
+    private void touch(Project project) {
+        project.setUpdatedAt(System.currentTimeMillis());
+        projects.save(project);
+    }
+
+    private void applyRequest(Project project, ProjectRequest request) {
+        if (request.name() != null) {
+            project.setName(request.name());
+        }
+        if (request.createdAt() != null) {
+            project.setCreatedAt(request.createdAt());
+        }
+        if (request.settings() != null) {
+            project.setSettings(objectMapper.writeValueAsString(request.settings()));
+        }
+        project.setUpdatedAt(request.updatedAt() != null ? request.updatedAt() : System.currentTimeMillis());
+    }
+
+    private ProjectResponse toResponse(Project project) {
+        Map<String, Object> settings = project.getSettings() != null
+                ? objectMapper.readValue(project.getSettings(), JSON_OBJECT_TYPE)
+                : Map.of();
+        return new ProjectResponse(project.getId(), project.getName(), project.getCreatedAt(),
+                project.getUpdatedAt(), settings, frames.countByProjectId(project.getId()));
+    }
+
+    private FrameResponse toResponse(String projectId, FrameSummary summary, int position) {
+        return new FrameResponse(summary.getId(), position, summary.getTimestamp(), summary.getContentType(),
+                summary.getSize(), summary.getHold(), readEdits(summary.getEdits()), readAnnotations(summary.getAnnotations()),
+                imageUrl(projectId, summary.getId()));
+    }
+
+    private FrameResponse toResponse(Frame frame, int position) {
+        return new FrameResponse(frame.getId(), position, frame.getTimestamp(), frame.getContentType(),
+                frame.getSize(), frame.getHold(), readEdits(frame.getEdits()), readAnnotations(frame.getAnnotations()),
+                imageUrl(frame.getProjectId(), frame.getId()));
+    }
+
+    // Multipart params arrive as plain strings, so bad JSON in them is the client's error.
+    private <T> T parseParam(String name, String json, TypeReference<T> type) {
+        try {
+            return objectMapper.readValue(json, type);
+        } catch (JacksonException ex) {
+            throw new ResponseStatusException(HttpStatus.BAD_REQUEST, "Invalid JSON in " + name, ex);
+        }
+    }
+
+    private Map<String, Object> readEdits(String edits) {
+        return edits != null ? objectMapper.readValue(edits, JSON_OBJECT_TYPE) : null;
+    }
+
+    // An empty list means no annotations, the same as the browser stores it.
+    private String writeAnnotations(List<Object> annotations) {
+        return annotations != null && !annotations.isEmpty() ? objectMapper.writeValueAsString(annotations) : null;
+    }
+
+    private List<Object> readAnnotations(String annotations) {
+        return annotations != null ? objectMapper.readValue(annotations, JSON_ARRAY_TYPE) : null;
+    }
+
+    private String imageUrl(String projectId, String frameId) {
+        return "/api/projects/" + projectId + "/frames/" + frameId + "/image";
+    }
+}
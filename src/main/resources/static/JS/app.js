@@ -1,594 +1,4986 @@
-const FrameStore = {
-    KEY: 'onionmotion_frames',
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function idbTransactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+    });
+}
+
+function dataUrlToBlob(dataUrl) {
+    const [header, data] = dataUrl.split(',');
+    const type = (header.match(/^data:([^;,]+)/) || [])[1] || 'application/octet-stream';
+    if (!header.includes(';base64')) {
+        return new Blob([decodeURIComponent(data)], { type });
+    }
+    const binary = atob(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type });
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function createId(prefix) {
+    return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
 
-    getFrames() {
-        const data = localStorage.getItem(this.KEY);
-        return data ? JSON.parse(data) : [];
+function frameDuration(frame, fps) {
+    return (frame.hold || 1) * 1000 / fps;
+}
+
+const FrameStore = {
+    DB_NAME: 'onionmotion',
+    DB_VERSION: 3,
+    LEGACY_KEY: 'onionmotion_frames',
+    LEGACY_INDEX_KEY: 'order',
+    ACTIVE_PROJECT_KEY: 'onionmotion_active_project',
+    dbPromise: null,
+    projectId: null,
+    urls: new Map(),
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('frames')) {
+                        db.createObjectStore('frames', { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains('index')) {
+                        db.createObjectStore('index');
+                    }
+                    if (!db.objectStoreNames.contains('projects')) {
+                        db.createObjectStore('projects', { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains('history')) {
+                        db.createObjectStore('history');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).then(async (db) => {
+                await ProjectStore.ensureActive(db);
+                await this.migrateLegacyFrames(db);
+                return db;
+            }).catch(err => {
+                // Let the next call try again instead of failing until the page is reloaded.
+                this.dbPromise = null;
+                throw err;
+            });
+        }
+        return this.dbPromise;
     },
 
-    saveFrames(frames) {
+    async migrateLegacyFrames(db) {
+        const data = localStorage.getItem(this.LEGACY_KEY);
+        if (!data) return;
+
+        let legacyFrames;
         try {
-            localStorage.setItem(this.KEY, JSON.stringify(frames));
-            window.dispatchEvent(new CustomEvent('framesUpdated', { detail: frames }));
+            legacyFrames = JSON.parse(data);
         } catch (err) {
-            console.error('Saving frames failed', err);
-            alert('Cannot save: Storage full or blocked. Please delete some frames.');
-            throw err;
+            console.error('Legacy frames are unreadable, skipping migration', err);
+            return;
+        }
+
+        const records = (Array.isArray(legacyFrames) ? legacyFrames : [])
+            .filter(frame => frame && frame.id && frame.dataUrl)
+            .map(frame => ({
+                id: frame.id,
+                blob: dataUrlToBlob(frame.dataUrl),
+                timestamp: frame.timestamp || Date.now()
+            }));
+
+        const tx = db.transaction(['frames', 'index'], 'readwrite');
+        const frameStore = tx.objectStore('frames');
+        const indexStore = tx.objectStore('index');
+        const order = (await idbRequest(indexStore.get(this.projectId))) || [];
+        records.forEach(record => {
+            frameStore.put(record);
+            if (!order.includes(record.id)) order.push(record.id);
+        });
+        indexStore.put(order, this.projectId);
+        await idbTransactionDone(tx);
+
+        localStorage.removeItem(this.LEGACY_KEY);
+    },
+
+    objectUrl(key, blob) {
+        let url = this.urls.get(key);
+        if (!url) {
+            url = URL.createObjectURL(blob);
+            this.urls.set(key, url);
         }
+        return url;
     },
 
-    addFrame(dataUrl) {
-        const frames = this.getFrames();
-        const newFrame = {
-            id: `frame-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-            dataUrl: dataUrl,
-            timestamp: Date.now()
+    // blob and url are the image as shown and exported; original is the untouched capture behind any edits.
+    toFrame(record) {
+        const blob = record.rendered || record.blob;
+        const preview = record.rendered ? record.renderedPreview : record.preview;
+        const url = this.objectUrl(record.id, blob);
+        return {
+            id: record.id,
+            blob: blob,
+            original: record.blob,
+            edits: record.edits || null,
+            annotations: record.annotations || null,
+            url: url,
+            // Frames synced from the server or stored before previews existed use the full image.
+            previewUrl: preview ? this.objectUrl(`${record.id}:preview`, preview) : url,
+            timestamp: record.timestamp,
+            hold: record.hold || 1
         };
-        frames.push(newFrame);
-        this.saveFrames(frames);
-        return newFrame;
     },
 
-    deleteFrame(id) {
-        const frames = this.getFrames().filter(f => f.id !== id);
-        this.saveFrames(frames);
+    releaseUrl(id) {
+        [id, `${id}:preview`].forEach(key => {
+            const url = this.urls.get(key);
+            if (url) {
+                URL.revokeObjectURL(url);
+                this.urls.delete(key);
+            }
+        });
     },
 
-    reorderFrames(fromIndex, toIndex) {
-        const frames = this.getFrames();
-        const [removed] = frames.splice(fromIndex, 1);
-        frames.splice(toIndex, 0, removed);
-        this.saveFrames(frames);
+    setActiveProject(id) {
+        this.projectId = id;
+        localStorage.setItem(this.ACTIVE_PROJECT_KEY, id);
     },
 
-    clearAll() {
-        this.saveFrames([]);
-    }
-};
+    async getFrames(projectId) {
+        const db = await this.open();
+        const tx = db.transaction(['frames', 'index'], 'readonly');
+        const order = (await idbRequest(tx.objectStore('index').get(projectId || this.projectId))) || [];
+        const records = await Promise.all(order.map(id => idbRequest(tx.objectStore('frames').get(id))));
+        return records
+            .filter(record => record)
+            .map(record => this.toFrame(record));
+    },
 
-async function compressImage(dataUrl, maxSize = 800, quality = 0.55) {
-    return new Promise((resolve, reject) => {
-        const img = new Image();
-        img.onload = () => {
-            let { width, height } = img;
-            const scale = Math.min(1, maxSize / Math.max(width, height));
-            width = Math.round(width * scale);
-            height = Math.round(height * scale);
+    // Removed frames are kept in the frames store while the undo history still refers to them.
+    async transact(label, mutate, projectId) {
+        const db = await this.open();
+        const key = projectId || this.projectId;
+        let staleIds = [];
+        try {
+            const tx = db.transaction(['frames', 'index', 'projects', 'history'], 'readwrite');
+            const frameStore = tx.objectStore('frames');
+            const indexStore = tx.objectStore('index');
+            const projectStore = tx.objectStore('projects');
+            const order = (await idbRequest(indexStore.get(key))) || [];
+            const holds = [];
+            const edits = [];
+            const next = await mutate([...order], frameStore, holds, edits);
+            // Edited frames get new object URLs as well.
+            staleIds = [...order.filter(id => !next.includes(id)), ...edits.map(change => change.id)];
+            indexStore.put(next, key);
+
+            const unused = await FrameHistory.record(tx, key, { label, before: order, after: next, holds, edits });
+            unused.forEach(id => frameStore.delete(id));
+
+            const project = await idbRequest(projectStore.get(key));
+            if (project) {
+                project.updatedAt = Date.now();
+                projectStore.put(project);
+            }
+            await idbTransactionDone(tx);
+        } catch (err) {
+            console.error('Saving frames failed', err);
+            alert('Cannot save: Storage full or blocked. Please delete some frames.');
+            throw err;
+        }
 
-            const canvas = document.createElement('canvas');
-            canvas.width = width;
-            canvas.height = height;
-            const ctx = canvas.getContext('2d');
-            ctx.drawImage(img, 0, 0, width, height);
+        return this.notify(key, staleIds);
+    },
 
-            try {
-                const webp = canvas.toDataURL('image/webp', quality);
-                if (webp && webp.length < dataUrl.length) {
-                    resolve(webp);
-                    return;
-                }
-            } catch (e) {}
+    async notify(projectId, staleIds) {
+        staleIds.forEach(id => this.releaseUrl(id));
+        const frames = await this.getFrames(projectId);
+        window.dispatchEvent(new CustomEvent('framesUpdated', { detail: frames }));
+        return frames;
+    },
 
-            resolve(canvas.toDataURL('image/jpeg', quality));
+    // image is a Blob, a data URL, or { blob, preview } from encodeFrame.
+    createRecord(image, hold = 1) {
+        const { blob, preview } = typeof image === 'string' || image instanceof Blob ? { blob: image } : image;
+        const record = {
+            id: createId('frame'),
+            blob: typeof blob === 'string' ? dataUrlToBlob(blob) : blob,
+            timestamp: Date.now(),
+            hold: hold
         };
-        img.onerror = reject;
-        img.src = dataUrl;
-    });
-}
-
-let capture;
-let lastFrameImg;
-let onionOpacity = 75;
-let showOnionSkin = true;
-let cameraReady = false;
-let cameraError = null;
-let flashAlpha = 0;
+        if (preview) record.preview = preview;
+        return record;
+    },
 
-function setupCameraSketch() {
-    const container = document.getElementById('p5-canvas-container');
-    if (!container) return;
+    async addFrame(image, projectId, hold) {
+        return this.insertFrame(image, Infinity, projectId, hold);
+    },
 
-    const sketch = (p) => {
+    async insertFrame(image, index, projectId, hold) {
+        const record = this.createRecord(image, hold);
+        await this.transact('Add frame', (order, frameStore) => {
+            frameStore.put(record);
+            order.splice(Math.max(0, Math.min(index, order.length)), 0, record.id);
+            return order;
+        }, projectId);
+        return this.toFrame(record);
+    },
 
-        p.setup = function() {
-            const canvas = p.createCanvas(640, 480);
-            canvas.parent('p5-canvas-container');
+    async replaceFrame(id, image) {
+        const record = this.createRecord(image);
+        await this.transact('Replace frame', async (order, frameStore) => {
+            const index = order.indexOf(id);
+            if (index === -1) throw new Error(`Frame ${id} not found`);
+            const previous = await idbRequest(frameStore.get(id));
+            record.hold = (previous && previous.hold) || 1;
+            frameStore.put(record);
+            order[index] = record.id;
+            return order;
+        });
+        return this.toFrame(record);
+    },
 
-            capture = p.createCapture(p.VIDEO,
-                (stream) => {
-                    cameraReady = true;
-                    cameraError = null;
-                    hideError();
-                    enableCaptureButton(true);
-                    console.log('✅ Camera started successfully with p5.js');
-                }
-            );
+    async setHold(id, hold) {
+        await this.transact('Change hold', async (order, frameStore, holds) => {
+            const record = await idbRequest(frameStore.get(id));
+            if (!record) throw new Error(`Frame ${id} not found`);
+            const previous = record.hold || 1;
+            record.hold = Math.max(1, Math.round(hold) || 1);
+            holds.push({ id, from: previous, to: record.hold });
+            frameStore.put(record);
+            return order;
+        });
+    },
 
-            capture.elt.onerror = (err) => {
-                cameraError = err;
-                cameraReady = false;
-                showError('Camera access failed. Please allow access in browser settings.');
-                enableCaptureButton(false);
-            };
+    // Renders every frame before the transaction opens, since IndexedDB transactions can't wait on a canvas.
+    // edits is either one set for every frame or a function returning each frame's own set.
+    async setEdits(ids, edits, onProgress, label) {
+        const frames = (await this.getFrames()).filter(frame => ids.includes(frame.id));
+        const rendered = new Map();
+        for (const frame of frames) {
+            const frameEdits = normalizeFrameEdits(typeof edits === 'function' ? edits(frame) : edits);
+            rendered.set(frame.id, {
+                edits: frameEdits,
+                result: hasFrameEdits(frameEdits) ? await applyFrameEdits(frame.original, frameEdits) : null
+            });
+            if (onProgress) onProgress(rendered.size, frames.length);
+        }
 
-            capture.hide();
+        label = label || (frames.length > 1 ? 'Edit frames' : 'Edit frame');
+        await this.transact(label, async (order, frameStore, holds, changes) => {
+            for (const [id, { edits: frameEdits, result }] of rendered) {
+                const record = await idbRequest(frameStore.get(id));
+                if (!record) continue;
+                const next = result
+                    ? { edits: frameEdits, rendered: result.blob, renderedPreview: result.preview }
+                    : { edits: null, rendered: null, renderedPreview: null };
+                // History keeps only the edits; undo and redo render the images again.
+                changes.push({ id, from: { edits: record.edits || null }, to: { edits: next.edits } });
+                frameStore.put({ ...record, ...next });
+            }
+            return order;
+        });
+    },
 
-            p.pixelDensity(1);
+    // Renders frames whose edits were restored by undo or redo but have no image for them yet.
+    async renderEdits(ids) {
+        const db = await this.open();
+        for (const id of new Set(ids)) {
+            const record = await idbRequest(db.transaction('frames', 'readonly').objectStore('frames').get(id));
+            if (!record || !record.edits || record.rendered) continue;
+
+            const result = await applyFrameEdits(record.blob, record.edits);
+            const tx = db.transaction('frames', 'readwrite');
+            const store = tx.objectStore('frames');
+            const current = await idbRequest(store.get(id));
+            // The edits may have changed again while this frame was rendering.
+            if (current && JSON.stringify(current.edits) === JSON.stringify(record.edits)) {
+                store.put({ ...current, rendered: result.blob, renderedPreview: result.preview });
+            }
+            await idbTransactionDone(tx);
+        }
+    },
 
-            loadLastFrame(p);
-        };
+    // Annotations are kept beside the image, so changing them never re-renders the frame.
+    async setAnnotations(id, annotations) {
+        await this.transact('Annotate frame', async (order, frameStore, holds, changes) => {
+            const record = await idbRequest(frameStore.get(id));
+            if (!record) return order;
+            const next = annotations && annotations.length > 0 ? annotations : null;
+            changes.push({ id, from: { annotations: record.annotations || null }, to: { annotations: next } });
+            frameStore.put({ ...record, annotations: next });
+            return order;
+        });
+    },
 
-        p.draw = function() {
-            p.background(20);
-
-            if (cameraReady && capture) {
-                p.push();
-                p.translate(p.width, 0);
-                p.scale(-1, 1);
-                p.image(capture, 0, 0, p.width, p.height);
-                p.pop();
-
-                if (showOnionSkin && lastFrameImg) {
-                    p.push();
-                    p.tint(255, onionOpacity);
-                    p.image(lastFrameImg, 0, 0, p.width, p.height);
-                    p.pop();
-                }
+    async deleteFrame(id) {
+        await this.transact('Delete frame', (order) => order.filter(frameId => frameId !== id));
+    },
 
-                if (flashAlpha > 0) {
-                    p.push();
-                    p.fill(255, flashAlpha);
-                    p.noStroke();
-                    p.rect(0, 0, p.width, p.height);
-                    p.pop();
-                    flashAlpha -= 15;
-                }
+    async deleteFrames(ids) {
+        await this.transact('Delete frames', (order) => order.filter(frameId => !ids.includes(frameId)));
+    },
 
-            } else {
-                p.fill(150);
-                p.textAlign(p.CENTER, p.CENTER);
-                p.textSize(18);
-                if (cameraError) {
-                    p.text('⚠️ Camera not available', p.width/2, p.height/2);
-                } else {
-                    p.text('📷 Loading camera...', p.width/2, p.height/2);
-                }
-            }
-        };
+    // Moves the frames as one block, in timeline order, to an insertion point in the current order.
+    async moveFrames(ids, index) {
+        await this.transact('Move frames', (order) => {
+            const moving = order.filter(id => ids.includes(id));
+            const rest = order.filter(id => !ids.includes(id));
+            const position = order.slice(0, index).filter(id => !ids.includes(id)).length;
+            rest.splice(position, 0, ...moving);
+            return rest;
+        });
+    },
 
-        p.captureFrame = async function() {
-            if (!cameraReady || !capture) return;
+    // The frames keep the slots they occupy but fill them in reverse order.
+    async reverseFrames(ids) {
+        await this.transact('Reverse frames', (order) => {
+            const slots = order.map((id, index) => ids.includes(id) ? index : -1).filter(index => index !== -1);
+            const reversed = slots.map(slot => order[slot]).reverse();
+            slots.forEach((slot, i) => order[slot] = reversed[i]);
+            return order;
+        });
+    },
 
-            const tempCanvas = document.createElement('canvas');
-            tempCanvas.width = capture.width || 640;
-            tempCanvas.height = capture.height || 480;
-            const ctx = tempCanvas.getContext('2d');
+    // Copies frame records, from this or any other project, into this project. Missing ids are skipped.
+    async copyFrames(ids, index, label = 'Paste frames') {
+        let copies = [];
+        await this.transact(label, async (order, frameStore) => {
+            const records = await Promise.all(ids.map(id => idbRequest(frameStore.get(id))));
+            copies = records
+                .filter(record => record)
+                .map(record => ({ ...record, id: createId('frame') }));
+            copies.forEach(record => frameStore.put(record));
+            order.splice(Math.max(0, Math.min(index, order.length)), 0, ...copies.map(record => record.id));
+            return order;
+        });
+        return copies.map(record => this.toFrame(record));
+    },
 
-            ctx.translate(tempCanvas.width, 0);
-            ctx.scale(-1, 1);
-            ctx.drawImage(capture.elt, 0, 0, tempCanvas.width, tempCanvas.height);
+    async clearAll() {
+        await this.transact('Clear all', () => []);
+    }
+};
 
-            const rawDataUrl = tempCanvas.toDataURL('image/jpeg', 0.8);
-            const dataUrl = await compressImage(rawDataUrl, 800, 0.55);
-            FrameStore.addFrame(dataUrl);
+const FrameHistory = {
+    LIMIT: 100,
+    group: null,
 
-            p.loadImage(dataUrl, (img) => {
-                lastFrameImg = img;
-            });
+    // Runs several frame operations as a single undo step.
+    async batch(label, fn) {
+        this.group = { id: createId('group'), label };
+        try {
+            return await fn();
+        } finally {
+            this.group = null;
+        }
+    },
 
-            flashAlpha = 200;
+    referencedIds(history) {
+        const ids = new Set();
+        [...history.undo, ...history.redo].forEach(entry => {
+            entry.before.forEach(id => ids.add(id));
+            entry.after.forEach(id => ids.add(id));
+        });
+        return ids;
+    },
 
-            updateCameraUI();
-        };
+    // Adds an entry inside a FrameStore transaction and returns frame ids nothing refers to any more.
+    async record(tx, projectId, entry) {
+        const store = tx.objectStore('history');
+        const history = (await idbRequest(store.get(projectId))) || { undo: [], redo: [] };
+        const dropped = history.redo;
+        history.redo = [];
+
+        const last = history.undo[history.undo.length - 1];
+        if (this.group && last && last.group === this.group.id) {
+            dropped.push({ before: [], after: last.after });
+            last.after = entry.after;
+            last.holds.push(...entry.holds);
+            last.edits = [...(last.edits || []), ...entry.edits];
+        } else {
+            history.undo.push({ ...entry, label: this.group ? this.group.label : entry.label, group: this.group && this.group.id });
+            while (history.undo.length > this.LIMIT) dropped.push(history.undo.shift());
+        }
+        store.put(history, projectId);
+
+        const kept = this.referencedIds(history);
+        entry.after.forEach(id => kept.add(id));
+        const unused = new Set();
+        dropped.forEach(old => [...old.before, ...old.after].forEach(id => {
+            if (!kept.has(id)) unused.add(id);
+        }));
+        return [...unused];
+    },
 
-        p.setOnionOpacity = function(value) {
-            onionOpacity = Math.round(value * 255);
-        };
+    async undo(projectId) {
+        return this.step('undo', projectId);
+    },
 
-        p.toggleOnionSkin = function() {
-            showOnionSkin = !showOnionSkin;
-            return showOnionSkin;
-        };
+    async redo(projectId) {
+        return this.step('redo', projectId);
+    },
 
-        function loadLastFrame(p) {
-            const frames = FrameStore.getFrames();
-            if (frames.length > 0) {
-                const lastFrame = frames[frames.length - 1];
-                p.loadImage(lastFrame.dataUrl, (img) => {
-                    lastFrameImg = img;
-                    console.log('✅ Last frame loaded for Onion Skin');
-                });
+    async step(direction, projectId) {
+        const db = await FrameStore.open();
+        const key = projectId || FrameStore.projectId;
+        const tx = db.transaction(['frames', 'index', 'projects', 'history'], 'readwrite');
+        const frameStore = tx.objectStore('frames');
+        const historyStore = tx.objectStore('history');
+        const history = (await idbRequest(historyStore.get(key))) || { undo: [], redo: [] };
+
+        const source = direction === 'undo' ? history.undo : history.redo;
+        const entry = source.pop();
+        if (!entry) return null;
+        (direction === 'undo' ? history.redo : history.undo).push(entry);
+
+        const current = (await idbRequest(tx.objectStore('index').get(key))) || [];
+        const target = direction === 'undo' ? entry.before : entry.after;
+        const holds = direction === 'undo' ? [...entry.holds].reverse() : entry.holds;
+        for (const change of holds) {
+            const record = await idbRequest(frameStore.get(change.id));
+            if (record) frameStore.put({ ...record, hold: direction === 'undo' ? change.from : change.to });
+        }
+        // Entries written before frame edits existed have no edits list.
+        const edits = direction === 'undo' ? [...(entry.edits || [])].reverse() : (entry.edits || []);
+        const rerender = [];
+        for (const change of edits) {
+            const record = await idbRequest(frameStore.get(change.id));
+            if (!record) continue;
+            let values = direction === 'undo' ? change.from : change.to;
+            // Renders are not kept in history, so a frame whose edits change is rendered again afterwards.
+            if ('edits' in values) {
+                values = { ...values, rendered: null, renderedPreview: null };
+                if (values.edits) rerender.push(change.id);
             }
+            frameStore.put({ ...record, ...values });
         }
-    };
 
-    window.p5Instance = new p5(sketch);
-}
+        tx.objectStore('index').put(target, key);
+        historyStore.put(history, key);
+        const project = await idbRequest(tx.objectStore('projects').get(key));
+        if (project) {
+            project.updatedAt = Date.now();
+            tx.objectStore('projects').put(project);
+        }
+        await idbTransactionDone(tx);
 
-function showError(message) {
-    const errorBox = document.getElementById('camera-error');
-    const retryBox = document.getElementById('camera-retry');
-    if (errorBox) {
-        errorBox.textContent = message;
-        errorBox.style.display = 'block';
-    }
-    if (retryBox) retryBox.style.display = 'block';
-}
+        try {
+            await FrameStore.renderEdits(rerender);
+        } catch (err) {
+            console.error('Rendering restored frame edits failed', err);
+        }
+        await FrameStore.notify(key, [...current.filter(id => !target.includes(id)), ...edits.map(change => change.id)]);
+        return entry;
+    },
 
-function hideError() {
-    const errorBox = document.getElementById('camera-error');
-    const retryBox = document.getElementById('camera-retry');
-    if (errorBox) errorBox.style.display = 'none';
-    if (retryBox) retryBox.style.display = 'none';
-}
+    // Forgets a project's history inside an existing transaction, deleting frames only it kept alive.
+    async discard(tx, projectId, keep) {
+        const store = tx.objectStore('history');
+        const history = await idbRequest(store.get(projectId));
+        store.delete(projectId);
+        if (!history) return [];
 
-function enableCaptureButton(enabled) {
-    const btn = document.getElementById('btn-capture');
-    if (btn) btn.disabled = !enabled;
-}
+        const unused = [...this.referencedIds(history)].filter(id => !keep.includes(id));
+        unused.forEach(id => tx.objectStore('frames').delete(id));
+        return unused;
+    }
+};
 
-function updateCameraUI() {
-    const frames = FrameStore.getFrames();
+function setupHistoryShortcuts(onChange) {
+    document.addEventListener('keydown', async (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const target = e.target;
+        if (target.closest && target.closest('input, textarea, select, [contenteditable="true"]')) return;
 
-    const counter = document.getElementById('frame-counter');
-    if (counter) counter.textContent = `Frames: ${frames.length}`;
+        const key = e.key.toLowerCase();
+        const redo = (key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey);
+        if (key !== 'z' && !redo) return;
+        e.preventDefault();
 
-    renderTimeline(frames);
+        const entry = redo ? await FrameHistory.redo() : await FrameHistory.undo();
+        if (entry) await onChange();
+    });
+}
 
-    const previewBtn = document.getElementById('btn-preview');
-    if (previewBtn) {
-        previewBtn.style.display = frames.length > 0 ? 'flex' : 'none';
-    }
+const ProjectStore = {
+    DEFAULT_NAME: 'My Animation',
+    DEFAULT_SETTINGS: {
+        fps: 12,
+        loop: true,
+        onionOpacity: 0.3,
+        onionPast: 1,
+        onionFuture: 0,
+        onionFalloff: 0.5,
+        onionTint: 'none',
+        onionBlend: 'normal',
+        onionAnnotations: true,
+        guides: {
+            thirds: false,
+            gridColumns: 0,
+            gridRows: 0,
+            safeAreas: false,
+            crosshair: false,
+            markers: []
+        },
+        loopPreviewCount: 6,
+        deflicker: 0,
+        captureProfile: 'standard',
+        importProfile: 'standard',
+        export: {
+            format: 'mp4',
+            resolution: '640x480',
+            width: 640,
+            height: 480,
+            fit: 'letterbox',
+            background: '#000000',
+            loops: 0,
+            pingPong: false,
+            annotations: false
+        }
+    },
 
-    const onionControls = document.getElementById('onion-controls');
-    if (onionControls) {
-        onionControls.style.display = frames.length > 0 ? 'block' : 'none';
-    }
-}
+    createRecord(name) {
+        const now = Date.now();
+        return {
+            id: createId('project'),
+            name: name,
+            createdAt: now,
+            updatedAt: now,
+            settings: structuredClone(this.DEFAULT_SETTINGS)
+        };
+    },
 
-function renderTimeline(frames) {
-    const container = document.getElementById('timeline-content');
-    if (!container) return;
+    async ensureActive(db) {
+        const tx = db.transaction(['projects', 'index'], 'readwrite');
+        const projectStore = tx.objectStore('projects');
+        const indexStore = tx.objectStore('index');
+        const projects = await idbRequest(projectStore.getAll());
+        let activeId = localStorage.getItem(FrameStore.ACTIVE_PROJECT_KEY);
+
+        if (projects.length === 0) {
+            const project = this.createRecord(this.DEFAULT_NAME);
+            const legacyOrder = await idbRequest(indexStore.get(FrameStore.LEGACY_INDEX_KEY));
+            projectStore.put(project);
+            indexStore.put(legacyOrder || [], project.id);
+            indexStore.delete(FrameStore.LEGACY_INDEX_KEY);
+            activeId = project.id;
+        } else if (!projects.some(project => project.id === activeId)) {
+            activeId = projects.sort((a, b) => b.updatedAt - a.updatedAt)[0].id;
+        }
 
-    if (frames.length === 0) {
-        container.innerHTML = `
-            <div class="timeline-empty">
-                <div class="empty-icon">
-                    <span class="icon icon-image"></span>
-                </div>
-                <p class="empty-text">No frames yet</p>
-                <p class="empty-hint">Start capturing!</p>
-            </div>
-        `;
-        return;
-    }
+        await idbTransactionDone(tx);
+        FrameStore.setActiveProject(activeId);
+    },
 
-    container.innerHTML = frames.map((frame, index) => `
-        <div class="timeline-frame" draggable="true" data-index="${index}" data-id="${frame.id}">
-            <span class="frame-number">#${index + 1}</span>
-            <img src="${frame.dataUrl}" alt="Frame ${index + 1}" class="frame-thumb">
-            <span class="frame-time">${new Date(frame.timestamp).toLocaleTimeString()}</span>
-            <button class="btn-delete-frame" data-id="${frame.id}">🗑️</button>
-        </div>
-    `).join('');
+    notify() {
+        window.dispatchEvent(new CustomEvent('projectsUpdated', { detail: { activeId: FrameStore.projectId } }));
+    },
 
-    let draggedIndex = null;
-    let draggedElement = null;
+    async list() {
+        const db = await FrameStore.open();
+        const tx = db.transaction(['projects', 'index'], 'readonly');
+        const projects = await idbRequest(tx.objectStore('projects').getAll());
+        const orders = await Promise.all(projects.map(project => idbRequest(tx.objectStore('index').get(project.id))));
+        return projects
+            .map((project, index) => ({ ...project, frameCount: (orders[index] || []).length }))
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    },
 
-    container.querySelectorAll('.timeline-frame').forEach((el, index) => {
-        el.addEventListener('dragstart', (e) => {
-            draggedIndex = parseInt(el.dataset.index);
-            draggedElement = el;
-            el.classList.add('dragging');
-            e.dataTransfer.effectAllowed = 'move';
-        });
+    async get(id) {
+        const db = await FrameStore.open();
+        return idbRequest(db.transaction('projects').objectStore('projects').get(id || FrameStore.projectId));
+    },
 
-        el.addEventListener('dragend', () => {
-            el.classList.remove('dragging');
-            document.querySelectorAll('.timeline-frame').forEach(frame => {
-                frame.classList.remove('drag-over');
-            });
-            draggedIndex = null;
-            draggedElement = null;
-        });
+    async getSettings(id) {
+        const project = await this.get(id);
+        return { ...this.DEFAULT_SETTINGS, ...(project ? project.settings : {}) };
+    },
 
-        el.addEventListener('dragover', (e) => {
-            e.preventDefault();
-            e.dataTransfer.dropEffect = 'move';
-            if (draggedElement && draggedElement !== el) {
-                el.classList.add('drag-over');
-            }
+    async modify(id, mutate) {
+        const db = await FrameStore.open();
+        const tx = db.transaction('projects', 'readwrite');
+        const store = tx.objectStore('projects');
+        const project = await idbRequest(store.get(id));
+        if (!project) throw new Error(`Project ${id} not found`);
+        mutate(project);
+        store.put(project);
+        await idbTransactionDone(tx);
+        this.notify();
+        return project;
+    },
+
+    async updateSettings(patch, id) {
+        const project = await this.modify(id || FrameStore.projectId, (project) => {
+            project.settings = { ...this.DEFAULT_SETTINGS, ...project.settings, ...patch };
+            project.updatedAt = Date.now();
         });
+        return project.settings;
+    },
 
-        el.addEventListener('dragleave', () => {
-            el.classList.remove('drag-over');
+    async rename(id, name) {
+        return this.modify(id, (project) => {
+            project.name = name;
+            project.updatedAt = Date.now();
         });
+    },
 
-        el.addEventListener('drop', (e) => {
-            e.preventDefault();
-            if (draggedIndex === null) return;
+    async create(name) {
+        const db = await FrameStore.open();
+        const project = this.createRecord(name || this.DEFAULT_NAME);
+        const tx = db.transaction(['projects', 'index'], 'readwrite');
+        tx.objectStore('projects').put(project);
+        tx.objectStore('index').put([], project.id);
+        await idbTransactionDone(tx);
+        await this.switchTo(project.id);
+        return project;
+    },
 
-            const targetIndex = parseInt(el.dataset.index);
-            if (draggedIndex !== targetIndex) {
-                FrameStore.reorderFrames(draggedIndex, targetIndex);
-                updateCameraUI();
-            }
+    async duplicate(id) {
+        const db = await FrameStore.open();
+        const source = await this.get(id);
+        if (!source) throw new Error(`Project ${id} not found`);
+
+        const copy = this.createRecord(`${source.name} (copy)`);
+        copy.settings = { ...this.DEFAULT_SETTINGS, ...source.settings };
+
+        const tx = db.transaction(['projects', 'index', 'frames'], 'readwrite');
+        const frameStore = tx.objectStore('frames');
+        const order = (await idbRequest(tx.objectStore('index').get(id))) || [];
+        const records = await Promise.all(order.map(frameId => idbRequest(frameStore.get(frameId))));
+        const copiedIds = records.filter(record => record).map(record => {
+            const frameCopy = { ...record, id: createId('frame') };
+            frameStore.put(frameCopy);
+            return frameCopy.id;
         });
-    });
+        tx.objectStore('index').put(copiedIds, copy.id);
+        tx.objectStore('projects').put(copy);
+        await idbTransactionDone(tx);
 
-    container.querySelectorAll('.btn-delete-frame').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            FrameStore.deleteFrame(btn.dataset.id);
-            updateCameraUI();
-        });
-    });
-}
+        await this.switchTo(copy.id);
+        return copy;
+    },
 
-function setupCameraControls() {
-    const captureBtn = document.getElementById('btn-capture');
-    if (captureBtn) {
-        captureBtn.addEventListener('click', () => {
-            if (window.p5Instance) {
-                window.p5Instance.captureFrame();
+    async remove(id) {
+        const db = await FrameStore.open();
+        const tx = db.transaction(['projects', 'index', 'frames', 'history'], 'readwrite');
+        const order = (await idbRequest(tx.objectStore('index').get(id))) || [];
+        order.forEach(frameId => tx.objectStore('frames').delete(frameId));
+        await FrameHistory.discard(tx, id, []);
+        tx.objectStore('index').delete(id);
+        tx.objectStore('projects').delete(id);
+        await idbTransactionDone(tx);
+        order.forEach(frameId => FrameStore.releaseUrl(frameId));
+        window.dispatchEvent(new CustomEvent('projectDeleted', { detail: { id } }));
+
+        if (id === FrameStore.projectId) {
+            const remaining = await this.list();
+            if (remaining.length > 0) {
+                await this.switchTo(remaining[0].id);
+            } else {
+                await this.create(this.DEFAULT_NAME);
             }
-        });
-    }
+        } else {
+            this.notify();
+        }
+    },
 
-    const retryBtn = document.getElementById('btn-retry');
-    if (retryBtn) {
-        retryBtn.addEventListener('click', () => {
-            if (window.p5Instance) {
-                window.p5Instance.remove();
-            }
-            setupCameraSketch();
-        });
+    async switchTo(id) {
+        await FrameStore.open();
+        FrameStore.setActiveProject(id);
+        this.notify();
     }
+};
 
-    const onionToggle = document.getElementById('btn-onion-toggle');
-    if (onionToggle) {
-        onionToggle.addEventListener('click', () => {
-            if (window.p5Instance) {
-                const isVisible = window.p5Instance.toggleOnionSkin();
-                onionToggle.textContent = isVisible ? 'Hide Onion Skin' : 'Show Onion Skin';
-            }
-        });
-    }
+const SyncAdapter = {
+    API: '/api/projects',
+    DEBOUNCE_MS: 1500,
+    timer: null,
+    running: null,
+    pending: false,
+    applyingRemote: false,
+    // Projects deleted here whose server copy may still exist, kept until the DELETE goes through.
+    DELETED_KEY: 'onionmotion_deleted_projects',
+    deletedIds: new Set(),
+    // Projects the server had after the last sync; one that is gone from it since was deleted elsewhere.
+    SYNCED_KEY: 'onionmotion_synced_projects',
+    syncedIds: new Set(),
 
-    const opacitySlider = document.getElementById('onion-opacity');
-    const opacityValue = document.getElementById('opacity-value');
-    if (opacitySlider) {
-        opacitySlider.addEventListener('input', (e) => {
-            const value = parseFloat(e.target.value);
-            if (opacityValue) opacityValue.textContent = Math.round(value * 100) + '%';
-            if (window.p5Instance) {
-                window.p5Instance.setOnionOpacity(value);
-            }
+    init() {
+        this.deletedIds = this.loadIds(this.DELETED_KEY);
+        this.syncedIds = this.loadIds(this.SYNCED_KEY);
+        const schedule = () => {
+            if (!this.applyingRemote) this.schedule();
+        };
+        window.addEventListener('framesUpdated', schedule);
+        window.addEventListener('projectsUpdated', schedule);
+        window.addEventListener('projectDeleted', (e) => {
+            if (this.applyingRemote) return;
+            this.deletedIds.add(e.detail.id);
+            this.saveIds(this.DELETED_KEY, this.deletedIds);
+            this.deleteRemote(e.detail.id);
         });
-    }
+        return this.sync();
+    },
+
+    loadIds(key) {
+        try {
+            return new Set(JSON.parse(localStorage.getItem(key)) || []);
+        } catch (err) {
+            console.warn(`Ignoring unreadable ${key}`, err);
+            return new Set();
+        }
+    },
+
+    saveIds(key, ids) {
+        localStorage.setItem(key, JSON.stringify([...ids]));
+    },
+
+    async deleteRemote(id) {
+        try {
+            const response = await fetch(this.projectUrl(id), { method: 'DELETE' });
+            // A project the server never had, or already removed, needs no retry.
+            if (!response.ok && response.status !== 404) {
+                throw new Error(`DELETE ${this.projectUrl(id)} failed with ${response.status}`);
+            }
+            this.deletedIds.delete(id);
+            this.saveIds(this.DELETED_KEY, this.deletedIds);
+        } catch (err) {
+            console.warn('Deleting remote project failed', err);
+        }
+    },
+
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.sync(), this.DEBOUNCE_MS);
+    },
+
+    projectUrl(id) {
+        return `${this.API}/${encodeURIComponent(id)}`;
+    },
+
+    async request(url, options = {}) {
+        const response = await fetch(url, options);
+        if (!response.ok) {
+            throw new Error(`${options.method || 'GET'} ${url} failed with ${response.status}`);
+        }
+        return response;
+    },
+
+    // Compares JSON values regardless of key order, since the server may not keep it.
+    sameJson(a, b) {
+        const canonical = (value) => {
+            if (Array.isArray(value)) return value.map(canonical);
+            if (value && typeof value === 'object') {
+                return Object.keys(value).sort().reduce((result, key) => ({ ...result, [key]: canonical(value[key]) }), {});
+            }
+            return value === undefined ? null : value;
+        };
+        return JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+    },
+
+    async requestJson(url, method, body) {
+        const response = await this.request(url, {
+            method: method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return response.json();
+    },
+
+    sync() {
+        if (this.running) {
+            this.pending = true;
+            return this.running;
+        }
+
+        this.running = this.syncAll()
+            .catch(err => console.warn('Sync with server failed', err))
+            .finally(() => {
+                this.running = null;
+                if (this.pending) {
+                    this.pending = false;
+                    this.schedule();
+                }
+            });
+        return this.running;
+    },
+
+    async syncAll() {
+        for (const id of [...this.deletedIds]) await this.deleteRemote(id);
+
+        const remoteProjects = await (await this.request(this.API)).json();
+        const localProjects = await ProjectStore.list();
+        const remoteById = new Map(remoteProjects.map(project => [project.id, project]));
+        const synced = new Set();
+        let pulled = false;
+
+        for (const local of localProjects) {
+            const remote = remoteById.get(local.id);
+            remoteById.delete(local.id);
+            if (!remote && this.syncedIds.has(local.id)) {
+                await this.removeLocal(local.id);
+                pulled = true;
+                continue;
+            }
+            // A project nobody has touched yet, like the one every browser creates on first start, stays local.
+            if (!remote && local.frameCount === 0 && local.updatedAt === local.createdAt) continue;
+
+            if (!remote || local.updatedAt > remote.updatedAt) {
+                await this.push(local);
+            } else if (remote.updatedAt > local.updatedAt) {
+                await this.pull(remote);
+                pulled = true;
+            }
+            synced.add(local.id);
+        }
+
+        for (const remote of remoteById.values()) {
+            if (this.deletedIds.has(remote.id)) continue;
+            await this.pull(remote);
+            synced.add(remote.id);
+            pulled = true;
+        }
+
+        this.syncedIds = synced;
+        this.saveIds(this.SYNCED_KEY, synced);
+
+        if (pulled) {
+            const frames = await FrameStore.getFrames();
+            this.applyingRemote = true;
+            try {
+                ProjectStore.notify();
+                window.dispatchEvent(new CustomEvent('framesUpdated', { detail: frames }));
+            } finally {
+                this.applyingRemote = false;
+            }
+        }
+        return pulled;
+    },
+
+    // Deleted on the server by another browser, so there is nothing left to delete remotely.
+    async removeLocal(id) {
+        this.applyingRemote = true;
+        try {
+            await ProjectStore.remove(id);
+        } finally {
+            this.applyingRemote = false;
+        }
+    },
+
+    async push(project) {
+        const url = this.projectUrl(project.id);
+        const meta = {
+            name: project.name,
+            createdAt: project.createdAt,
+            updatedAt: project.updatedAt,
+            settings: project.settings
+        };
+        await this.requestJson(url, 'PUT', meta);
+
+        const frames = await FrameStore.getFrames(project.id);
+        const remoteFrames = await (await this.request(`${url}/frames`)).json();
+        const localFrames = new Map(frames.map(frame => [frame.id, frame]));
+        const remoteIds = new Set(remoteFrames.map(frame => frame.id));
+
+        for (const remote of remoteFrames) {
+            const local = localFrames.get(remote.id);
+            const frameUrl = `${url}/frames/${encodeURIComponent(remote.id)}`;
+            if (!local) {
+                await this.request(frameUrl, { method: 'DELETE' });
+                continue;
+            }
+            if ((remote.hold || 1) !== local.hold) {
+                await this.requestJson(`${frameUrl}/hold`, 'PUT', local.hold);
+            }
+            if (!this.sameJson(remote.edits, local.edits)) {
+                await this.requestJson(`${frameUrl}/edits`, 'PUT', local.edits);
+            }
+            if (!this.sameJson(remote.annotations, local.annotations)) {
+                await this.requestJson(`${frameUrl}/annotations`, 'PUT', local.annotations);
+            }
+        }
+
+        for (const frame of frames) {
+            if (remoteIds.has(frame.id)) continue;
+            const form = new FormData();
+            // The server keeps the original image, the edits and the annotations; each browser renders them itself.
+            form.append('file', frame.original, frame.id);
+            form.append('frameId', frame.id);
+            form.append('timestamp', frame.timestamp);
+            form.append('hold', frame.hold);
+            if (frame.edits) form.append('edits', JSON.stringify(frame.edits));
+            if (frame.annotations) form.append('annotations', JSON.stringify(frame.annotations));
+            await this.request(`${url}/frames`, { method: 'POST', body: form });
+        }
+
+        await this.requestJson(`${url}/frames/order`, 'PUT', frames.map(frame => frame.id));
+        // Frame uploads bump the server timestamp, so restore the local one.
+        await this.requestJson(url, 'PUT', meta);
+    },
+
+    async pull(remote) {
+        const remoteFrames = await (await this.request(`${this.projectUrl(remote.id)}/frames`)).json();
+        const existing = new Map((await FrameStore.getFrames(remote.id)).map(frame => [frame.id, frame]));
+
+        const downloads = [];
+        const changed = [];
+        for (const frame of remoteFrames) {
+            const local = existing.get(frame.id);
+            if (local) {
+                if ((frame.hold || 1) !== local.hold
+                    || !this.sameJson(frame.edits, local.edits)
+                    || !this.sameJson(frame.annotations, local.annotations)) {
+                    changed.push(frame);
+                }
+                continue;
+            }
+            const blob = await (await this.request(frame.url)).blob();
+            downloads.push({
+                id: frame.id,
+                blob: blob,
+                timestamp: frame.timestamp,
+                hold: frame.hold || 1,
+                edits: frame.edits || null,
+                annotations: frame.annotations || null
+            });
+        }
+
+        const db = await FrameStore.open();
+        const tx = db.transaction(['projects', 'index', 'frames', 'history'], 'readwrite');
+        const projectStore = tx.objectStore('projects');
+        const indexStore = tx.objectStore('index');
+        const frameStore = tx.objectStore('frames');
+
+        const order = remoteFrames.map(frame => frame.id);
+        const previousOrder = (await idbRequest(indexStore.get(remote.id))) || [];
+        const removed = previousOrder.filter(id => !order.includes(id));
+        const local = await idbRequest(projectStore.get(remote.id));
+
+        // Local undo steps don't apply on top of the remote state.
+        await FrameHistory.discard(tx, remote.id, order);
+        removed.forEach(id => frameStore.delete(id));
+        downloads.forEach(record => frameStore.put(record));
+        const edited = downloads.filter(record => record.edits).map(record => record.id);
+        for (const frame of changed) {
+            const record = await idbRequest(frameStore.get(frame.id));
+            if (!record) continue;
+            const next = { ...record, hold: frame.hold || 1, annotations: frame.annotations || null };
+            if (!this.sameJson(frame.edits, record.edits)) {
+                // Rendered again below, once the transaction is done.
+                Object.assign(next, { edits: frame.edits || null, rendered: null, renderedPreview: null });
+                edited.push(frame.id);
+            }
+            frameStore.put(next);
+        }
+        indexStore.put(order, remote.id);
+        projectStore.put({
+            ...(local || {}),
+            id: remote.id,
+            name: remote.name,
+            createdAt: remote.createdAt,
+            updatedAt: remote.updatedAt,
+            settings: { ...ProjectStore.DEFAULT_SETTINGS, ...remote.settings }
+        });
+        await idbTransactionDone(tx);
+
+        try {
+            await FrameStore.renderEdits(edited);
+        } catch (err) {
+            console.error('Rendering synced frame edits failed', err);
+        }
+        [...removed, ...edited].forEach(id => FrameStore.releaseUrl(id));
+    }
+};
+
+const QUALITY_PROFILES = {
+    draft: { label: 'Draft', maxSize: 800, type: 'image/webp', quality: 0.55 },
+    standard: { label: 'Standard', maxSize: 1920, type: 'image/jpeg', quality: 0.9 },
+    master: { label: 'Master (lossless PNG)', maxSize: Infinity, type: 'image/png' }
+};
+
+const PREVIEW_SIZE = 640;
+
+function canvasToBlob(canvas, type, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error(`Encoding ${type} failed`)), type, quality);
+    });
+}
+
+async function encodeImage(source, maxSize, type, quality) {
+    const sourceWidth = source.videoWidth || source.naturalWidth || source.width;
+    const sourceHeight = source.videoHeight || source.naturalHeight || source.height;
+    const scale = Math.min(1, maxSize / Math.max(sourceWidth, sourceHeight));
+
+    let canvas = source;
+    if (scale < 1 || !(source instanceof HTMLCanvasElement)) {
+        canvas = document.createElement('canvas');
+        canvas.width = Math.round(sourceWidth * scale);
+        canvas.height = Math.round(sourceHeight * scale);
+        canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+    }
+
+    const blob = await canvasToBlob(canvas, type, quality);
+    // Browsers without a WebP encoder silently return PNG.
+    if (blob.type !== type && type !== 'image/jpeg') {
+        return canvasToBlob(canvas, 'image/jpeg', quality);
+    }
+    return blob;
+}
+
+// Encodes a canvas or image with a quality profile, plus the small preview used by thumbnails and onion skins.
+async function encodeFrame(source, profileName, original) {
+    const profile = QUALITY_PROFILES[profileName] || QUALITY_PROFILES.standard;
+    const blob = original || await encodeImage(source, profile.maxSize, profile.type, profile.quality);
+    const preview = await encodeImage(source, PREVIEW_SIZE, 'image/webp', 0.7);
+    return { blob, preview };
+}
+
+const FRAME_EDIT_DEFAULTS = {
+    turns: 0,
+    straighten: 0,
+    flipH: false,
+    flipV: false,
+    crop: { aspect: 'original', scale: 1, x: 0.5, y: 0.5 },
+    brightness: 0,
+    contrast: 0,
+    saturation: 0,
+    temperature: 0,
+    tint: 0,
+    // Stabilization: shift as a fraction of the frame size, rotation in degrees and a zoom that hides the edges.
+    align: { x: 0, y: 0, angle: 0, scale: 1 }
+};
+
+function normalizeFrameEdits(edits) {
+    const normalized = {};
+    Object.keys(FRAME_EDIT_DEFAULTS).forEach(key => {
+        normalized[key] = edits && edits[key] !== undefined ? edits[key] : FRAME_EDIT_DEFAULTS[key];
+    });
+    normalized.crop = { ...FRAME_EDIT_DEFAULTS.crop, ...(edits && edits.crop) };
+    normalized.align = { ...FRAME_EDIT_DEFAULTS.align, ...(edits && edits.align) };
+    normalized.turns = ((normalized.turns % 4) + 4) % 4;
+    return normalized;
+}
+
+function hasFrameEdits(edits) {
+    return JSON.stringify(normalizeFrameEdits(edits)) !== JSON.stringify(normalizeFrameEdits(null));
+}
+
+// Crop is stored as an aspect ratio, a size and a position so one setting fits frames of any resolution.
+function cropRect(width, height, crop) {
+    let cropWidth = width;
+    let cropHeight = height;
+    if (crop.aspect !== 'original') {
+        const [w, h] = crop.aspect.split(':').map(Number);
+        if (width / height > w / h) {
+            cropWidth = height * w / h;
+        } else {
+            cropHeight = width * h / w;
+        }
+    }
+    cropWidth *= crop.scale;
+    cropHeight *= crop.scale;
+    return { x: (width - cropWidth) * crop.x, y: (height - cropHeight) * crop.y, width: cropWidth, height: cropHeight };
+}
+
+// White balance, brightness and contrast go through per-channel lookup tables, then saturation mixes towards luma.
+function adjustFrameColors(ctx, width, height, edits) {
+    if (!edits.brightness && !edits.contrast && !edits.saturation && !edits.temperature && !edits.tint) return;
+
+    const contrast = edits.contrast * 2.55;
+    const factor = (259 * (contrast + 255)) / (255 * (259 - contrast));
+    const shifts = [edits.temperature * 0.4, -edits.tint * 0.4, -edits.temperature * 0.4];
+    const tables = shifts.map(shift => {
+        const table = new Uint8ClampedArray(256);
+        for (let v = 0; v < 256; v++) {
+            table[v] = factor * (v + shift + edits.brightness * 1.28 - 128) + 128;
+        }
+        return table;
+    });
+
+    const image = ctx.getImageData(0, 0, width, height);
+    const data = image.data;
+    const saturation = 1 + edits.saturation / 100;
+    for (let i = 0; i < data.length; i += 4) {
+        const r = tables[0][data[i]];
+        const g = tables[1][data[i + 1]];
+        const b = tables[2][data[i + 2]];
+        const luma = 0.299 * r + 0.587 * g + 0.114 * b;
+        data[i] = luma + (r - luma) * saturation;
+        data[i + 1] = luma + (g - luma) * saturation;
+        data[i + 2] = luma + (b - luma) * saturation;
+    }
+    ctx.putImageData(image, 0, 0);
+}
+
+// Draws an image or canvas with frame edits applied and returns a new canvas.
+function renderFrameEdits(source, edits) {
+    const settings = normalizeFrameEdits(edits);
+    const sourceWidth = source.naturalWidth || source.width;
+    const sourceHeight = source.naturalHeight || source.height;
+    const width = settings.turns % 2 ? sourceHeight : sourceWidth;
+    const height = settings.turns % 2 ? sourceWidth : sourceHeight;
+
+    // Straightening zooms in just far enough that no empty corners show.
+    const angle = Math.abs(settings.straighten) * Math.PI / 180;
+    const cover = Math.max(
+        (width * Math.cos(angle) + height * Math.sin(angle)) / width,
+        (width * Math.sin(angle) + height * Math.cos(angle)) / height
+    );
+
+    const rect = cropRect(width, height, settings.crop);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(rect.width));
+    canvas.height = Math.max(1, Math.round(rect.height));
+    const ctx = canvas.getContext('2d');
+
+    // Straighten and flips act on the picture as seen, quarter turns and stabilization on the source.
+    ctx.translate(width / 2 - rect.x, height / 2 - rect.y);
+    ctx.rotate(settings.straighten * Math.PI / 180);
+    ctx.scale(settings.flipH ? -cover : cover, settings.flipV ? -cover : cover);
+    ctx.rotate(settings.turns * Math.PI / 2);
+    ctx.scale(settings.align.scale, settings.align.scale);
+    ctx.translate(settings.align.x * sourceWidth, settings.align.y * sourceHeight);
+    ctx.rotate(settings.align.angle * Math.PI / 180);
+    ctx.drawImage(source, -sourceWidth / 2, -sourceHeight / 2, sourceWidth, sourceHeight);
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+    adjustFrameColors(ctx, canvas.width, canvas.height, settings);
+    return canvas;
+}
+
+// Renders an original frame with its edits, keeping the original format so lossless frames stay lossless.
+async function applyFrameEdits(original, edits) {
+    const url = URL.createObjectURL(original);
+    try {
+        const canvas = renderFrameEdits(await loadImageElement(url), edits);
+        const type = ['image/png', 'image/jpeg', 'image/webp'].includes(original.type) ? original.type : 'image/png';
+        return {
+            blob: await encodeImage(canvas, Infinity, type, 0.92),
+            preview: await encodeImage(canvas, PREVIEW_SIZE, 'image/webp', 0.7)
+        };
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Annotation points and positions are fractions of the frame's width and height, sizes fractions of its height,
+// so the same notes fit the frame at any resolution. Eraser strokes cut through earlier ink only.
+function renderAnnotations(annotations, width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width));
+    canvas.height = Math.max(1, Math.round(height));
+    const ctx = canvas.getContext('2d');
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    annotations.forEach(shape => {
+        ctx.globalCompositeOperation = shape.tool === 'eraser' ? 'destination-out' : 'source-over';
+        if (shape.type === 'text') {
+            ctx.font = `${shape.size * canvas.height}px Arial, sans-serif`;
+            ctx.textBaseline = 'top';
+            ctx.fillStyle = shape.color;
+            ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
+            ctx.shadowBlur = 3;
+            ctx.fillText(shape.text, shape.x * canvas.width, shape.y * canvas.height);
+            ctx.shadowBlur = 0;
+            return;
+        }
+
+        ctx.strokeStyle = shape.color;
+        ctx.lineWidth = Math.max(1, shape.size * canvas.height);
+        ctx.beginPath();
+        ctx.moveTo(shape.points[0] * canvas.width, shape.points[1] * canvas.height);
+        // A single tap still leaves a dot.
+        for (let i = shape.points.length > 2 ? 2 : 0; i < shape.points.length; i += 2) {
+            ctx.lineTo(shape.points[i] * canvas.width, shape.points[i + 1] * canvas.height);
+        }
+        ctx.stroke();
+    });
+    return canvas;
+}
+
+function drawAnnotations(ctx, annotations, rect, alpha = 1) {
+    if (!annotations || annotations.length === 0) return;
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.drawImage(renderAnnotations(annotations, rect.width, rect.height), rect.x, rect.y, rect.width, rect.height);
+    ctx.restore();
+}
+
+let onionLayers = [];
+let onionNotes = null;
+let onionImageCache = new Map();
+let onionOpacity = 75;
+let onionOptions = { past: 1, future: 0, falloff: 0.5, tint: 'none', blend: 'normal', annotations: true };
+let cameraGuides = { ...ProjectStore.DEFAULT_SETTINGS.guides };
+let placingMarkers = false;
+let showOnionSkin = true;
+let captureTarget = { frameId: null, mode: 'after' };
+
+const ONION_TINTS = {
+    none: { past: [255, 255, 255], future: [255, 255, 255] },
+    color: { past: [255, 90, 90], future: [90, 255, 120] }
+};
+let cameraReady = false;
+let cameraError = null;
+let flashAlpha = 0;
+let timerOverlay = null;
+let loopPreviewImage = null;
+
+const CameraSettings = {
+    STORAGE_KEY: 'onionmotion_camera',
+    DEFAULTS: {
+        deviceId: '',
+        resolution: 'auto',
+        frameRate: 'auto',
+        mirror: true,
+        flip: false,
+        timerMode: 'interval',
+        timerSeconds: 5,
+        timerShots: 0
+    },
+    current: null,
+
+    load() {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || {};
+        } catch (err) {
+            console.warn('Ignoring unreadable camera settings', err);
+        }
+        this.current = { ...this.DEFAULTS, ...stored };
+        return this.current;
+    },
+
+    get() {
+        return this.current || this.load();
+    },
+
+    update(patch) {
+        this.current = { ...this.get(), ...patch };
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.current));
+        return this.current;
+    },
+
+    constraints() {
+        const settings = this.get();
+        const video = {};
+        if (settings.deviceId) video.deviceId = { exact: settings.deviceId };
+        if (settings.resolution !== 'auto') {
+            const [width, height] = settings.resolution.split('x').map(Number);
+            video.width = { ideal: width };
+            video.height = { ideal: height };
+        }
+        if (settings.frameRate !== 'auto') video.frameRate = { ideal: Number(settings.frameRate) };
+        return { video: Object.keys(video).length > 0 ? video : true, audio: false };
+    },
+
+    // Forgets a remembered camera that is no longer plugged in. Device ids are blank before permission is granted.
+    async validateDevice() {
+        const settings = this.get();
+        if (!settings.deviceId || !navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return;
+
+        const devices = (await navigator.mediaDevices.enumerateDevices())
+            .filter(device => device.kind === 'videoinput' && device.deviceId);
+        if (devices.length > 0 && !devices.some(device => device.deviceId === settings.deviceId)) {
+            this.update({ deviceId: '' });
+        }
+    },
+
+    // Device labels are only exposed once the page has camera permission, so this runs again after each start.
+    async populateDevices() {
+        const select = document.getElementById('camera-device');
+        if (!select || !navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return;
+
+        const devices = (await navigator.mediaDevices.enumerateDevices())
+            .filter(device => device.kind === 'videoinput');
+        const settings = this.get();
+        select.innerHTML = '<option value="">Default camera</option>' + devices
+            .filter(device => device.deviceId)
+            .map((device, index) => `
+                <option value="${escapeHtml(device.deviceId)}">${escapeHtml(device.label || `Camera ${index + 1}`)}</option>
+            `).join('');
+        select.value = devices.some(device => device.deviceId === settings.deviceId) ? settings.deviceId : '';
+    },
+
+    // Called inside a save()/restore() pair on a 2D canvas context.
+    applyTransform(ctx, width, height) {
+        const settings = this.get();
+        ctx.translate(settings.mirror ? width : 0, settings.flip ? height : 0);
+        ctx.scale(settings.mirror ? -1 : 1, settings.flip ? -1 : 1);
+    }
+};
+
+// Renders the live camera with onion-skin layers on a plain 2D canvas.
+function setupCameraView() {
+    const container = document.getElementById('camera-canvas-container');
+    if (!container) return;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = 640;
+    canvas.height = 480;
+    container.appendChild(canvas);
+    const ctx = canvas.getContext('2d');
+
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+
+    let stream = null;
+    let frameRequest = null;
+    let startToken = 0;
+
+    const view = {
+        video: video,
+        canvas: canvas,
+
+        stopCapture() {
+            if (stream) stream.getTracks().forEach(track => track.stop());
+            stream = null;
+            video.srcObject = null;
+            cameraReady = false;
+        },
+
+        async startCapture() {
+            const token = ++startToken;
+            cameraReady = false;
+            enableCaptureButton(false);
+            await CameraSettings.validateDevice();
+            this.stopCapture();
+
+            if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+                cameraError = new Error('getUserMedia not supported');
+                showError('This browser cannot access a camera.');
+                return;
+            }
+
+            try {
+                const next = await navigator.mediaDevices.getUserMedia(CameraSettings.constraints());
+                // A newer start (e.g. another settings change) superseded this one.
+                if (token !== startToken) {
+                    next.getTracks().forEach(track => track.stop());
+                    return;
+                }
+                stream = next;
+                video.srcObject = stream;
+                await video.play();
+
+                if (video.videoWidth && video.videoHeight) {
+                    canvas.width = 640;
+                    canvas.height = Math.round(640 * video.videoHeight / video.videoWidth);
+                }
+
+                cameraReady = true;
+                cameraError = null;
+                hideError();
+                enableCaptureButton(true);
+                CameraSettings.populateDevices();
+                renderCameraStatus(stream);
+            } catch (err) {
+                if (token !== startToken) return;
+                cameraError = err;
+                cameraReady = false;
+                enableCaptureButton(false);
+                console.error('Camera start failed:', err);
+                if (err.name === 'NotAllowedError') {
+                    showError('Camera access failed. Please allow access in browser settings.');
+                } else if (err.name === 'NotFoundError' || err.name === 'OverconstrainedError') {
+                    showError('The selected camera or mode is not available. Try other camera settings.');
+                } else {
+                    showError('Camera access failed. Is another application using the camera?');
+                }
+            }
+        },
+
+        remove() {
+            this.stopCapture();
+            cancelAnimationFrame(frameRequest);
+            canvas.remove();
+            window.cameraView = null;
+        },
+
+        // Resolves true once a frame is stored, false when the camera isn't ready yet.
+        async captureFrame() {
+            if (!cameraReady) return false;
+            LoopPreview.stop();
+
+            const tempCanvas = document.createElement('canvas');
+            tempCanvas.width = video.videoWidth || 640;
+            tempCanvas.height = video.videoHeight || 480;
+            const tempCtx = tempCanvas.getContext('2d');
+
+            CameraSettings.applyTransform(tempCtx, tempCanvas.width, tempCanvas.height);
+            tempCtx.drawImage(video, 0, 0, tempCanvas.width, tempCanvas.height);
+
+            const settings = await ProjectStore.getSettings();
+            await storeCapturedFrame(await encodeFrame(tempCanvas, settings.captureProfile));
+
+            flashAlpha = 200;
+
+            await updateCameraUI();
+            return true;
+        },
+
+        setOnionOpacity(value) {
+            onionOpacity = Math.round(value * 255);
+        },
+
+        refreshOnionLayers() {
+            return loadOnionLayers();
+        },
+
+        setOnionOptions(options) {
+            onionOptions = { ...onionOptions, ...options };
+            loadOnionLayers();
+        },
+
+        toggleOnionSkin() {
+            showOnionSkin = !showOnionSkin;
+            return showOnionSkin;
+        }
+    };
+
+    function draw() {
+        ctx.fillStyle = 'rgb(20, 20, 20)';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        if (cameraReady) {
+            // Captured frames are already mirrored/flipped, so only the live feed gets the transform.
+            if (loopPreviewImage) {
+                drawFrameFitted(ctx, loopPreviewImage, { fit: 'letterbox', background: 'rgb(20, 20, 20)' });
+            } else {
+                ctx.save();
+                CameraSettings.applyTransform(ctx, canvas.width, canvas.height);
+                ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+                ctx.restore();
+            }
+
+            if (showOnionSkin && !LoopPreview.active) {
+                // Difference makes anything that moved between frames light up against black.
+                ctx.globalCompositeOperation = onionOptions.blend === 'difference' ? 'difference' : 'source-over';
+                onionLayers.forEach(layer => {
+                    ctx.globalAlpha = onionOpacity / 255 * Math.pow(1 - onionOptions.falloff, layer.distance - 1);
+                    ctx.drawImage(layer.img, 0, 0, canvas.width, canvas.height);
+                });
+                ctx.globalAlpha = 1;
+                ctx.globalCompositeOperation = 'source-over';
+
+                if (onionNotes) {
+                    ctx.globalAlpha = 0.85;
+                    ctx.drawImage(onionNotes, 0, 0, canvas.width, canvas.height);
+                    ctx.globalAlpha = 1;
+                }
+            }
+
+            drawGuides(ctx, canvas.width, canvas.height, cameraGuides);
+
+            if (LoopPreview.active) {
+                ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+                ctx.fillRect(8, 8, 120, 24);
+                ctx.fillStyle = loopPreviewImage ? 'white' : '#FF6467';
+                ctx.font = '13px Arial, sans-serif';
+                ctx.textAlign = 'left';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(loopPreviewImage ? `▶ Frame ${LoopPreview.index + 1} / ${LoopPreview.frames.length}` : '● Live', 16, 20);
+            }
+
+            if (flashAlpha > 0) {
+                ctx.fillStyle = `rgba(255, 255, 255, ${flashAlpha / 255})`;
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+                flashAlpha -= 15;
+            }
+
+            if (timerOverlay !== null) {
+                ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+                ctx.beginPath();
+                ctx.arc(canvas.width / 2, canvas.height / 2, 64, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.fillStyle = 'white';
+                ctx.font = 'bold 72px Arial, sans-serif';
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(String(timerOverlay), canvas.width / 2, canvas.height / 2);
+            }
+        } else {
+            ctx.fillStyle = 'rgb(150, 150, 150)';
+            ctx.font = '18px Arial, sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(cameraError ? '⚠️ Camera not available' : '📷 Loading camera...', canvas.width / 2, canvas.height / 2);
+        }
+
+        frameRequest = requestAnimationFrame(draw);
+    }
+
+    async function loadOnionLayers() {
+        const frames = await FrameStore.getFrames();
+        const anchor = onionAnchor(frames);
+        const tints = ONION_TINTS[onionOptions.tint] || ONION_TINTS.none;
+        const wanted = [];
+
+        for (let distance = 1; distance <= onionOptions.past; distance++) {
+            const frame = frames[anchor.past - distance + 1];
+            if (frame) wanted.push({ frame, distance, direction: 'past' });
+        }
+        for (let distance = 1; distance <= onionOptions.future; distance++) {
+            const frame = frames[anchor.future + distance - 1];
+            if (frame) wanted.push({ frame, distance, direction: 'future' });
+        }
+
+        const layers = await Promise.all(wanted.map(async (layer) => {
+            const img = await loadOnionImage(layer.frame).catch(() => null);
+            return img ? { ...layer, img: tintImage(img, tints[layer.direction]) } : null;
+        }));
+
+        // Farthest layers first so the nearest frames end up on top.
+        onionLayers = layers
+            .filter(layer => layer)
+            .sort((a, b) => b.distance - a.distance);
+
+        // The previous frame's annotations are drawn as guides even when no past layers are shown.
+        const previous = frames[anchor.past];
+        onionNotes = onionOptions.annotations && previous && previous.annotations
+            ? renderAnnotations(previous.annotations, canvas.width, canvas.height)
+            : null;
+    }
+
+    function loadOnionImage(frame) {
+        if (!onionImageCache.has(frame.id)) {
+            onionImageCache.set(frame.id, loadImageElement(frame.previewUrl));
+        }
+        return onionImageCache.get(frame.id);
+    }
+
+    window.cameraView = view;
+    view.startCapture();
+    loadOnionLayers();
+    draw();
+}
+
+function drawGuides(ctx, width, height, guides) {
+    ctx.save();
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
+    ctx.shadowBlur = 2;
+
+    const line = (x1, y1, x2, y2) => {
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        ctx.stroke();
+    };
+    const divide = (columns, rows) => {
+        for (let i = 1; i < columns; i++) line(width * i / columns, 0, width * i / columns, height);
+        for (let i = 1; i < rows; i++) line(0, height * i / rows, width, height * i / rows);
+    };
+
+    if (guides.thirds) divide(3, 3);
+    if (guides.gridColumns > 0 || guides.gridRows > 0) {
+        ctx.setLineDash([4, 4]);
+        divide(guides.gridColumns || 1, guides.gridRows || 1);
+        ctx.setLineDash([]);
+    }
+
+    if (guides.safeAreas) {
+        // Action and title safe areas per SMPTE ST 2046-1.
+        ctx.font = '11px Arial, sans-serif';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        [[0.93, 'Action safe', 'top'], [0.9, 'Title safe', 'bottom']].forEach(([size, label, corner]) => {
+            const x = width * (1 - size) / 2;
+            const y = height * (1 - size) / 2;
+            ctx.strokeRect(x, y, width * size, height * size);
+            ctx.fillText(label, x + 4, corner === 'top' ? y + 12 : height - y - 4);
+        });
+    }
+
+    if (guides.crosshair) {
+        const cx = width / 2;
+        const cy = height / 2;
+        line(cx - 20, cy, cx + 20, cy);
+        line(cx, cy - 20, cx, cy + 20);
+        ctx.beginPath();
+        ctx.arc(cx, cy, 8, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+
+    ctx.strokeStyle = '#00E5FF';
+    ctx.lineWidth = 2;
+    (guides.markers || []).forEach(marker => {
+        const x = marker.x * width;
+        const y = marker.y * height;
+        ctx.beginPath();
+        ctx.arc(x, y, 10, 0, Math.PI * 2);
+        ctx.stroke();
+        line(x - 16, y, x + 16, y);
+        line(x, y - 16, x, y + 16);
+    });
+
+    ctx.restore();
+}
+
+function setupGuideControls() {
+    const checkboxes = {
+        thirds: document.getElementById('guide-thirds'),
+        safeAreas: document.getElementById('guide-safe'),
+        crosshair: document.getElementById('guide-crosshair')
+    };
+    const columns = document.getElementById('guide-grid-columns');
+    const rows = document.getElementById('guide-grid-rows');
+    const markerBtn = document.getElementById('btn-guide-markers');
+    const clearBtn = document.getElementById('btn-guide-markers-clear');
+
+    const save = () => ProjectStore.updateSettings({ guides: cameraGuides });
+
+    const render = () => {
+        Object.entries(checkboxes).forEach(([key, checkbox]) => {
+            if (checkbox) checkbox.checked = cameraGuides[key];
+        });
+        if (columns) columns.value = cameraGuides.gridColumns;
+        if (rows) rows.value = cameraGuides.gridRows;
+        if (markerBtn) {
+            markerBtn.classList.toggle('active', placingMarkers);
+            markerBtn.textContent = placingMarkers ? 'Done Placing' : 'Place Markers';
+        }
+        if (clearBtn) clearBtn.disabled = cameraGuides.markers.length === 0;
+        if (window.cameraView) window.cameraView.canvas.style.cursor = placingMarkers ? 'crosshair' : '';
+    };
+
+    Object.entries(checkboxes).forEach(([key, checkbox]) => {
+        if (!checkbox) return;
+        checkbox.addEventListener('change', () => {
+            cameraGuides = { ...cameraGuides, [key]: checkbox.checked };
+            save();
+        });
+    });
+
+    [[columns, 'gridColumns'], [rows, 'gridRows']].forEach(([input, key]) => {
+        if (!input) return;
+        input.addEventListener('change', () => {
+            cameraGuides = { ...cameraGuides, [key]: Math.max(0, Math.min(24, parseInt(input.value) || 0)) };
+            save();
+            render();
+        });
+    });
+
+    if (markerBtn) {
+        markerBtn.addEventListener('click', () => {
+            placingMarkers = !placingMarkers;
+            render();
+        });
+    }
+
+    if (clearBtn) {
+        clearBtn.addEventListener('click', () => {
+            cameraGuides = { ...cameraGuides, markers: [] };
+            save();
+            render();
+        });
+    }
+
+    // Clicking an existing marker removes it; anywhere else adds one.
+    if (window.cameraView) {
+        const canvas = window.cameraView.canvas;
+        canvas.addEventListener('click', (e) => {
+            if (!placingMarkers) return;
+            const rect = canvas.getBoundingClientRect();
+            const x = (e.clientX - rect.left) / rect.width;
+            const y = (e.clientY - rect.top) / rect.height;
+            const hit = cameraGuides.markers.findIndex(marker =>
+                Math.hypot((marker.x - x) * rect.width, (marker.y - y) * rect.height) < 14);
+
+            const markers = hit === -1
+                ? [...cameraGuides.markers, { x, y }]
+                : cameraGuides.markers.filter((marker, index) => index !== hit);
+            cameraGuides = { ...cameraGuides, markers };
+            save();
+            render();
+        });
+    }
+
+    ProjectStore.getSettings().then(settings => {
+        cameraGuides = { ...ProjectStore.DEFAULT_SETTINGS.guides, ...settings.guides };
+        render();
+    });
+}
+
+// Multiplies an image by an RGB colour, like a tint in a compositing app. White returns the image as is.
+function tintImage(img, [r, g, b]) {
+    if (r === 255 && g === 255 && b === 255) return img;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = img.naturalWidth || img.width;
+    canvas.height = img.naturalHeight || img.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0);
+    ctx.globalCompositeOperation = 'multiply';
+    ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.globalCompositeOperation = 'destination-in';
+    ctx.drawImage(img, 0, 0);
+    return canvas;
+}
+
+function onionAnchor(frames) {
+    const index = captureTarget.frameId
+        ? frames.findIndex(frame => frame.id === captureTarget.frameId)
+        : -1;
+
+    if (index === -1) return { past: frames.length - 1, future: frames.length };
+    if (captureTarget.mode === 'before') return { past: index - 1, future: index };
+    if (captureTarget.mode === 'replace') return { past: index - 1, future: index + 1 };
+    return { past: index, future: index + 1 };
+}
+
+async function storeCapturedFrame(image) {
+    if (!captureTarget.frameId) {
+        return FrameStore.addFrame(image);
+    }
+
+    const frames = await FrameStore.getFrames();
+    const index = frames.findIndex(frame => frame.id === captureTarget.frameId);
+    if (index === -1) {
+        captureTarget.frameId = null;
+        return FrameStore.addFrame(image);
+    }
+
+    if (captureTarget.mode === 'before') {
+        return FrameStore.insertFrame(image, index);
+    }
+
+    // Follow the new frame so consecutive captures keep extending the sequence in place.
+    const frame = captureTarget.mode === 'replace'
+        ? await FrameStore.replaceFrame(captureTarget.frameId, image)
+        : await FrameStore.insertFrame(image, index + 1);
+    captureTarget.frameId = frame.id;
+    return frame;
+}
+
+function setCaptureTarget(frameId, mode) {
+    captureTarget = { frameId: frameId, mode: mode || captureTarget.mode };
+    updateCameraUI();
+}
+
+function showError(message) {
+    const errorBox = document.getElementById('camera-error');
+    const retryBox = document.getElementById('camera-retry');
+    if (errorBox) {
+        errorBox.textContent = message;
+        errorBox.style.display = 'block';
+    }
+    if (retryBox) retryBox.style.display = 'block';
+}
+
+function hideError() {
+    const errorBox = document.getElementById('camera-error');
+    const retryBox = document.getElementById('camera-retry');
+    if (errorBox) errorBox.style.display = 'none';
+    if (retryBox) retryBox.style.display = 'none';
+}
+
+function renderCameraStatus(stream) {
+    const status = document.getElementById('camera-status');
+    const track = stream && stream.getVideoTracks()[0];
+    if (!status || !track) return;
+
+    const { width, height, frameRate } = track.getSettings();
+    status.textContent = width && height
+        ? `${width} × ${height}${frameRate ? ` @ ${Math.round(frameRate)} fps` : ''}`
+        : '';
+}
+
+function setupCameraSettings() {
+    const settings = CameraSettings.load();
+    const restart = () => {
+        if (window.cameraView) window.cameraView.startCapture();
+    };
+
+    const device = document.getElementById('camera-device');
+    if (device) {
+        device.addEventListener('change', () => {
+            CameraSettings.update({ deviceId: device.value });
+            restart();
+        });
+        CameraSettings.populateDevices();
+    }
+
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+        navigator.mediaDevices.addEventListener('devicechange', () => CameraSettings.populateDevices());
+    }
+
+    [['camera-resolution', 'resolution'], ['camera-framerate', 'frameRate']].forEach(([elementId, key]) => {
+        const select = document.getElementById(elementId);
+        if (!select) return;
+        select.value = settings[key];
+        select.addEventListener('change', () => {
+            CameraSettings.update({ [key]: select.value });
+            restart();
+        });
+    });
+
+    const profile = document.getElementById('capture-profile');
+    if (profile) {
+        ProjectStore.getSettings().then(projectSettings => profile.value = projectSettings.captureProfile);
+        profile.addEventListener('change', () => ProjectStore.updateSettings({ captureProfile: profile.value }));
+    }
+
+    // Mirroring only changes how frames are drawn, so the stream keeps running.
+    [['camera-mirror', 'mirror'], ['camera-flip', 'flip']].forEach(([elementId, key]) => {
+        const checkbox = document.getElementById(elementId);
+        if (!checkbox) return;
+        checkbox.checked = settings[key];
+        checkbox.addEventListener('change', () => CameraSettings.update({ [key]: checkbox.checked }));
+    });
+}
+
+function enableCaptureButton(enabled) {
+    const btn = document.getElementById('btn-capture');
+    if (btn) btn.disabled = !enabled;
+}
+
+async function updateCameraUI() {
+    const frames = await FrameStore.getFrames();
+
+    const counter = document.getElementById('frame-counter');
+    if (counter) counter.textContent = `Frames: ${frames.length}`;
+
+    if (captureTarget.frameId && !frames.some(frame => frame.id === captureTarget.frameId)) {
+        captureTarget.frameId = null;
+    }
+
+    renderTimeline(frames);
+    renderCaptureTarget(frames);
+
+    if (window.cameraView && window.cameraView.refreshOnionLayers) {
+        window.cameraView.refreshOnionLayers();
+    }
+
+    const previewBtn = document.getElementById('btn-preview');
+    if (previewBtn) {
+        previewBtn.style.display = frames.length > 0 ? 'flex' : 'none';
+    }
+
+    const onionControls = document.getElementById('onion-controls');
+    if (onionControls) {
+        onionControls.style.display = frames.length > 0 ? 'block' : 'none';
+    }
+
+    const loopControls = document.getElementById('loop-preview');
+    if (loopControls) {
+        loopControls.style.display = frames.length > 0 ? 'flex' : 'none';
+    }
+    if (frames.length === 0) {
+        LoopPreview.stop();
+    } else {
+        LoopPreview.refresh();
+    }
+}
+
+function renderTimeline(frames) {
+    const container = document.getElementById('timeline-content');
+    if (!container) return;
+
+    if (frames.length === 0) {
+        container.innerHTML = `
+            <div class="timeline-empty">
+                <div class="empty-icon">
+                    <span class="icon icon-image"></span>
+                </div>
+                <p class="empty-text">No frames yet</p>
+                <p class="empty-hint">Start capturing!</p>
+            </div>
+        `;
+        return;
+    }
+
+    container.innerHTML = frames.map((frame, index) => `
+        <div class="timeline-frame ${frame.id === captureTarget.frameId ? 'selected' : ''}" tabindex="0" data-index="${index}" data-id="${frame.id}">
+            <span class="frame-number">#${index + 1}</span>
+            <img src="${frame.previewUrl}" alt="Frame ${index + 1}" class="frame-thumb" draggable="false">
+            <span class="frame-time">${new Date(frame.timestamp).toLocaleTimeString()}</span>
+            <button class="btn-delete-frame" data-id="${frame.id}">🗑️</button>
+        </div>
+    `).join('');
+
+    container.querySelectorAll('.timeline-frame').forEach(el => {
+        el.addEventListener('click', (e) => {
+            if (e.target.closest('.btn-delete-frame')) return;
+            const frameId = el.dataset.id === captureTarget.frameId ? null : el.dataset.id;
+            setCaptureTarget(frameId);
+        });
+    });
+
+    container.querySelectorAll('.btn-delete-frame').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            await FrameStore.deleteFrame(btn.dataset.id);
+            updateCameraUI();
+        });
+    });
+}
+
+function renderCaptureTarget(frames) {
+    const panel = document.getElementById('capture-target');
+    if (!panel) return;
+
+    const index = frames.findIndex(frame => frame.id === captureTarget.frameId);
+    panel.style.display = index === -1 ? 'none' : 'flex';
+    if (index === -1) return;
+
+    const label = document.getElementById('capture-target-label');
+    if (label) {
+        const descriptions = {
+            before: `Inserting before #${index + 1}`,
+            after: `Inserting after #${index + 1}`,
+            replace: `Replacing #${index + 1}`
+        };
+        label.textContent = descriptions[captureTarget.mode];
+    }
+
+    panel.querySelectorAll('.btn-capture-mode').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.mode === captureTarget.mode);
+    });
+}
+
+function setupCameraControls() {
+    const captureBtn = document.getElementById('btn-capture');
+    if (captureBtn) {
+        captureBtn.addEventListener('click', () => {
+            if (window.cameraView) {
+                window.cameraView.captureFrame();
+            }
+        });
+    }
+
+    document.querySelectorAll('.btn-capture-mode').forEach(btn => {
+        btn.addEventListener('click', () => setCaptureTarget(captureTarget.frameId, btn.dataset.mode));
+    });
+
+    const appendBtn = document.getElementById('btn-capture-append');
+    if (appendBtn) {
+        appendBtn.addEventListener('click', () => setCaptureTarget(null));
+    }
+
+    const retryBtn = document.getElementById('btn-retry');
+    if (retryBtn) {
+        retryBtn.addEventListener('click', () => {
+            if (window.cameraView) {
+                window.cameraView.startCapture();
+            } else {
+                setupCameraView();
+            }
+        });
+    }
+
+    const onionToggle = document.getElementById('btn-onion-toggle');
+    if (onionToggle) {
+        onionToggle.addEventListener('click', () => {
+            if (window.cameraView) {
+                const isVisible = window.cameraView.toggleOnionSkin();
+                onionToggle.textContent = isVisible ? 'Hide Onion Skin' : 'Show Onion Skin';
+            }
+        });
+    }
+
+    const opacitySlider = document.getElementById('onion-opacity');
+    const opacityValue = document.getElementById('opacity-value');
+    if (opacitySlider) {
+        const applyOpacity = (value) => {
+            if (opacityValue) opacityValue.textContent = Math.round(value * 100) + '%';
+            if (window.cameraView) {
+                window.cameraView.setOnionOpacity(value);
+            }
+        };
+
+        opacitySlider.addEventListener('input', (e) => applyOpacity(parseFloat(e.target.value)));
+        opacitySlider.addEventListener('change', (e) => {
+            ProjectStore.updateSettings({ onionOpacity: parseFloat(e.target.value) });
+        });
+
+        ProjectStore.getSettings().then(settings => {
+            opacitySlider.value = settings.onionOpacity;
+            applyOpacity(settings.onionOpacity);
+        });
+    }
+
+    setupOnionLayerControls();
+    setupGuideControls();
+
+    const timeline = document.getElementById('timeline-content');
+    if (timeline) {
+        createSortable(timeline, {
+            items: '.timeline-frame',
+            onMove: async (ids, index) => {
+                await FrameStore.moveFrames(ids, index);
+                await updateCameraUI();
+            }
+        });
+    }
 
     const closeBtn = document.getElementById('btn-close-camera');
     if (closeBtn) {
         closeBtn.addEventListener('click', () => {
-            if (window.p5Instance) {
-                window.p5Instance.remove();
+            if (window.cameraView) {
+                window.cameraView.remove();
+            }
+            window.location.href = '/homepage';
+        });
+    }
+
+    const previewBtn = document.getElementById('btn-preview');
+    if (previewBtn) {
+        previewBtn.addEventListener('click', () => {
+            window.location.href = '/videopage';
+        });
+    }
+}
+
+const CaptureTimer = {
+    running: false,
+    timeoutId: null,
+    remaining: 0,
+    shotsTaken: 0,
+    options: null,
+    session: null,
+    audio: null,
+
+    start(options) {
+        this.stop();
+        this.options = options;
+        this.session = {};
+        this.running = true;
+        this.shotsTaken = 0;
+        this.remaining = options.seconds;
+        this.countdown();
+    },
+
+    stop() {
+        clearTimeout(this.timeoutId);
+        this.timeoutId = null;
+        this.running = false;
+        timerOverlay = null;
+        this.renderStatus();
+    },
+
+    toggle(options) {
+        if (this.running) {
+            this.stop();
+        } else {
+            this.start(options);
+        }
+    },
+
+    // One tick per second: show the remaining seconds, and shoot when they run out.
+    countdown() {
+        timerOverlay = this.remaining;
+        if (this.options.mode === 'countdown') {
+            this.beep(this.remaining === 1 ? 1320 : 880);
+            flashAlpha = 60;
+        }
+        this.renderStatus();
+
+        const session = this.session;
+        this.timeoutId = setTimeout(async () => {
+            this.remaining--;
+            if (this.remaining > 0) {
+                this.countdown();
+                return;
+            }
+
+            timerOverlay = null;
+            let stored = false;
+            try {
+                stored = window.cameraView ? await window.cameraView.captureFrame() : false;
+            } catch (err) {
+                // FrameStore has already told the user why saving failed.
+                console.error('Timed capture failed', err);
+                if (session === this.session) this.stop();
+                return;
+            }
+            // Stopped (or restarted) while the frame was being saved.
+            if (!this.running || session !== this.session) return;
+
+            if (stored) this.shotsTaken++;
+            if (this.options.shots > 0 && this.shotsTaken >= this.options.shots) {
+                this.stop();
+                return;
+            }
+            this.remaining = this.options.seconds;
+            this.countdown();
+        }, 1000);
+    },
+
+    beep(frequency) {
+        try {
+            this.audio = this.audio || new AudioContext();
+            const oscillator = this.audio.createOscillator();
+            const gain = this.audio.createGain();
+            oscillator.frequency.value = frequency;
+            gain.gain.setValueAtTime(0.2, this.audio.currentTime);
+            gain.gain.exponentialRampToValueAtTime(0.001, this.audio.currentTime + 0.12);
+            oscillator.connect(gain).connect(this.audio.destination);
+            oscillator.start();
+            oscillator.stop(this.audio.currentTime + 0.12);
+        } catch (err) {
+            console.warn('Beep not available', err);
+        }
+    },
+
+    renderStatus() {
+        const button = document.getElementById('btn-timer');
+        if (button) {
+            button.textContent = this.running ? 'Stop Timer' : 'Start Timer';
+            button.classList.toggle('running', this.running);
+        }
+
+        const status = document.getElementById('timer-status');
+        if (!status) return;
+        if (!this.running) {
+            status.textContent = this.shotsTaken > 0 ? `${this.shotsTaken} taken` : '';
+            return;
+        }
+        const total = this.options.shots > 0 ? ` / ${this.options.shots}` : '';
+        status.textContent = `Shot ${this.shotsTaken + 1}${total} in ${this.remaining}s`;
+    }
+};
+
+// "Play from last": the last few frames before the capture point, then the live feed, looping at the project fps.
+const LoopPreview = {
+    active: false,
+    frames: [],
+    index: 0,
+    count: 6,
+    timeoutId: null,
+    session: null,
+
+    async start(count) {
+        clearTimeout(this.timeoutId);
+        const session = this.session = {};
+        this.count = count;
+
+        const settings = await ProjectStore.getSettings();
+        const frames = await FrameStore.getFrames();
+        const anchor = onionAnchor(frames);
+        const recent = frames.slice(Math.max(0, anchor.past + 1 - count), anchor.past + 1);
+        const images = await Promise.all(recent.map(frame => loadImageElement(frame.previewUrl).catch(() => null)));
+        if (session !== this.session) return;
+
+        this.fps = settings.fps;
+        this.frames = recent
+            .map((frame, i) => ({ img: images[i], duration: frameDuration(frame, settings.fps) }))
+            .filter(frame => frame.img);
+        this.active = true;
+        this.index = 0;
+        this.tick();
+        this.renderStatus();
+    },
+
+    stop() {
+        clearTimeout(this.timeoutId);
+        this.timeoutId = null;
+        this.session = null;
+        this.active = false;
+        loopPreviewImage = null;
+        this.renderStatus();
+    },
+
+    toggle(count) {
+        if (this.active) {
+            this.stop();
+        } else {
+            this.start(count);
+        }
+    },
+
+    // Picks up new or deleted frames while the loop keeps running.
+    refresh() {
+        if (this.active) this.start(this.count);
+    },
+
+    // index === frames.length is the live slot, shown for one frame at the project fps.
+    tick() {
+        const frame = this.frames[this.index];
+        loopPreviewImage = frame ? frame.img : null;
+
+        const session = this.session;
+        this.timeoutId = setTimeout(() => {
+            if (session !== this.session) return;
+            this.index = (this.index + 1) % (this.frames.length + 1);
+            this.tick();
+        }, frame ? frame.duration : 1000 / this.fps);
+    },
+
+    renderStatus() {
+        const button = document.getElementById('btn-loop-preview');
+        if (!button) return;
+        button.textContent = this.active ? 'Stop Loop' : 'Loop Preview';
+        button.classList.toggle('running', this.active);
+    }
+};
+
+function setupLoopPreview() {
+    const count = document.getElementById('loop-preview-count');
+    const button = document.getElementById('btn-loop-preview');
+    if (!count || !button) return;
+
+    const readCount = () => Math.max(1, Math.min(48, parseInt(count.value) || 1));
+
+    count.addEventListener('change', () => {
+        count.value = readCount();
+        ProjectStore.updateSettings({ loopPreviewCount: readCount() });
+        LoopPreview.refresh();
+    });
+    button.addEventListener('click', () => LoopPreview.toggle(readCount()));
+
+    ProjectStore.getSettings().then(settings => {
+        count.value = settings.loopPreviewCount;
+    });
+}
+
+function setupCaptureTimer() {
+    const settings = CameraSettings.get();
+    const mode = document.getElementById('timer-mode');
+    const seconds = document.getElementById('timer-seconds');
+    const shots = document.getElementById('timer-shots');
+    const button = document.getElementById('btn-timer');
+    if (!mode || !seconds || !shots || !button) return;
+
+    mode.value = settings.timerMode;
+    seconds.value = settings.timerSeconds;
+    shots.value = settings.timerShots;
+
+    const readOptions = () => ({
+        mode: mode.value,
+        seconds: Math.max(1, parseInt(seconds.value) || 1),
+        shots: Math.max(0, parseInt(shots.value) || 0)
+    });
+
+    [mode, seconds, shots].forEach(field => field.addEventListener('change', () => {
+        const options = readOptions();
+        CameraSettings.update({ timerMode: options.mode, timerSeconds: options.seconds, timerShots: options.shots });
+    }));
+
+    button.addEventListener('click', () => CaptureTimer.toggle(readOptions()));
+}
+
+function setupCameraShortcuts() {
+    const nudgeOpacity = (delta) => {
+        const slider = document.getElementById('onion-opacity');
+        if (!slider) return;
+        slider.value = Math.max(0, Math.min(1, parseFloat(slider.value) + delta)).toFixed(2);
+        slider.dispatchEvent(new Event('input'));
+        slider.dispatchEvent(new Event('change'));
+    };
+
+    ShortcutModule.init('camera', {
+        capture: {
+            label: 'Capture frame',
+            key: ' ',
+            run: () => document.getElementById('btn-capture').click()
+        },
+        toggleOnion: {
+            label: 'Toggle onion skin',
+            key: 'o',
+            run: () => document.getElementById('btn-onion-toggle').click()
+        },
+        opacityDown: {
+            label: 'Onion opacity down',
+            key: '[',
+            repeat: true,
+            run: () => nudgeOpacity(-0.05)
+        },
+        opacityUp: {
+            label: 'Onion opacity up',
+            key: ']',
+            repeat: true,
+            run: () => nudgeOpacity(0.05)
+        },
+        toggleLoop: {
+            label: 'Start / stop loop preview',
+            key: 'l',
+            run: () => document.getElementById('btn-loop-preview').click()
+        },
+        toggleTimer: {
+            label: 'Start / stop timer',
+            key: 't',
+            run: () => document.getElementById('btn-timer').click()
+        },
+        deleteLast: {
+            label: 'Delete last frame',
+            key: 'Backspace',
+            run: async () => {
+                const frames = await FrameStore.getFrames();
+                if (frames.length === 0) return;
+                await FrameStore.deleteFrame(frames[frames.length - 1].id);
+                updateCameraUI();
+            }
+        }
+    });
+}
+
+function setupOnionLayerControls() {
+    const pastSelect = document.getElementById('onion-past');
+    const futureSelect = document.getElementById('onion-future');
+    const falloffSlider = document.getElementById('onion-falloff');
+    const falloffValue = document.getElementById('falloff-value');
+    const tintSelect = document.getElementById('onion-tint');
+    const blendSelect = document.getElementById('onion-blend');
+    const annotationsCheck = document.getElementById('onion-annotations');
+
+    const readOptions = () => ({
+        past: pastSelect ? parseInt(pastSelect.value) : onionOptions.past,
+        future: futureSelect ? parseInt(futureSelect.value) : onionOptions.future,
+        falloff: falloffSlider ? parseFloat(falloffSlider.value) : onionOptions.falloff,
+        tint: tintSelect ? tintSelect.value : onionOptions.tint,
+        blend: blendSelect ? blendSelect.value : onionOptions.blend,
+        annotations: annotationsCheck ? annotationsCheck.checked : onionOptions.annotations
+    });
+
+    const applyOptions = (persist) => {
+        const options = readOptions();
+        if (falloffValue) falloffValue.textContent = Math.round(options.falloff * 100) + '%';
+        if (window.cameraView) {
+            window.cameraView.setOnionOptions(options);
+        }
+        if (persist) {
+            ProjectStore.updateSettings({
+                onionPast: options.past,
+                onionFuture: options.future,
+                onionFalloff: options.falloff,
+                onionTint: options.tint,
+                onionBlend: options.blend,
+                onionAnnotations: options.annotations
+            });
+        }
+    };
+
+    [pastSelect, futureSelect, tintSelect, blendSelect, annotationsCheck].forEach(control => {
+        if (control) control.addEventListener('change', () => applyOptions(true));
+    });
+    if (falloffSlider) {
+        falloffSlider.addEventListener('input', () => applyOptions(false));
+        falloffSlider.addEventListener('change', () => applyOptions(true));
+    }
+
+    ProjectStore.getSettings().then(settings => {
+        if (pastSelect) pastSelect.value = settings.onionPast;
+        if (futureSelect) futureSelect.value = settings.onionFuture;
+        if (falloffSlider) falloffSlider.value = settings.onionFalloff;
+        if (tintSelect) tintSelect.value = settings.onionTint;
+        if (blendSelect) blendSelect.value = settings.onionBlend;
+        if (annotationsCheck) annotationsCheck.checked = settings.onionAnnotations;
+        applyOptions(false);
+    });
+}
+
+const UploadModule = {
+    init() {
+        this.setupUploadHandlers();
+    },
+
+    setupUploadHandlers() {
+        const uploadInput = document.getElementById('upload-input');
+        if (uploadInput) {
+            uploadInput.addEventListener('change', (e) => this.handleFiles(e.target.files));
+        }
+
+        const addMoreInput = document.getElementById('add-more-input');
+        if (addMoreInput) {
+            addMoreInput.addEventListener('change', (e) => this.handleFiles(e.target.files));
+        }
+
+        const folderInput = document.getElementById('folder-input');
+        if (folderInput) {
+            folderInput.addEventListener('change', (e) => this.handleFiles(e.target.files));
+        }
+
+        const dropZone = document.getElementById('drop-zone');
+        if (dropZone) {
+            dropZone.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                dropZone.classList.add('drag-over');
+            });
+
+            dropZone.addEventListener('dragleave', () => {
+                dropZone.classList.remove('drag-over');
+            });
+
+            dropZone.addEventListener('drop', (e) => {
+                e.preventDefault();
+                dropZone.classList.remove('drag-over');
+                this.handleFiles(e.dataTransfer.files);
+            });
+        }
+    },
+
+    async handleFiles(files) {
+        if (!files || files.length === 0) return;
+
+        try {
+            const batch = await this.collectImport(Array.from(files));
+            if (batch.items.length === 0) {
+                alert('No images found to import.');
+                return;
+            }
+
+            const mode = await ImportDialog.open(batch);
+            if (!mode) return;
+
+            await this.commitImport(batch, mode);
+            if (window.location.pathname === '/homepage') {
+                setTimeout(() => window.location.href = '/frames', 500);
+            }
+        } catch (err) {
+            console.error('Upload failed', err);
+            alert(`Import failed: ${err.message}`);
+        }
+    },
+
+    isZip(file) {
+        return file.type === 'application/zip'
+            || file.type === 'application/x-zip-compressed'
+            || file.name.toLowerCase().endsWith('.zip');
+    },
+
+    async collectImport(files) {
+        const groups = [];
+        const loose = [];
+        let manifest = null;
+
+        for (const file of files) {
+            if (this.isZip(file)) {
+                const group = await this.readZip(file);
+                if (group.manifest && !manifest) manifest = group.manifest;
+                groups.push(group);
+            } else if (file.type.startsWith('image/')) {
+                loose.push({ name: file.webkitRelativePath || file.name, blob: file });
+            }
+        }
+
+        if (loose.length > 0) {
+            groups.push({ name: '', items: loose.sort((a, b) => naturalCompare(a.name, b.name)) });
+        }
+
+        groups.sort((a, b) => naturalCompare(a.name, b.name));
+        return {
+            items: groups.flatMap(group => group.items),
+            manifest: manifest
+        };
+    },
+
+    async readZip(file) {
+        const entries = await readZipEntries(file);
+        const visible = entries.filter(entry => {
+            const base = entry.name.split('/').pop();
+            return !entry.name.startsWith('__MACOSX/') && !base.startsWith('.');
+        });
+
+        let manifest = null;
+        const manifestEntry = visible.find(entry => entry.name.split('/').pop() === 'manifest.json');
+        if (manifestEntry) {
+            try {
+                manifest = JSON.parse(await (await inflateZipEntry(manifestEntry)).text());
+            } catch (err) {
+                console.warn('Ignoring unreadable manifest.json', err);
+            }
+        }
+
+        // The manifest order wins; anything it doesn't list follows in natural filename order.
+        const manifestOrder = new Map();
+        const manifestHolds = new Map();
+        const manifestAnnotations = new Map();
+        if (manifest && Array.isArray(manifest.frames)) {
+            manifest.frames.forEach((frame, index) => {
+                manifestOrder.set(frame.file, typeof frame.index === 'number' ? frame.index : index);
+                if (typeof frame.hold === 'number') manifestHolds.set(frame.file, frame.hold);
+                if (Array.isArray(frame.annotations) && frame.annotations.length > 0) {
+                    manifestAnnotations.set(frame.file, frame.annotations);
+                }
+            });
+        }
+
+        const items = [];
+        for (const entry of visible) {
+            const type = typeForFilename(entry.name);
+            if (!type) continue;
+            items.push({
+                name: entry.name,
+                blob: await inflateZipEntry(entry, type),
+                hold: manifestHolds.get(entry.name),
+                annotations: manifestAnnotations.get(entry.name) || null
+            });
+        }
+        items.sort((a, b) => {
+            const orderA = manifestOrder.has(a.name) ? manifestOrder.get(a.name) : Infinity;
+            const orderB = manifestOrder.has(b.name) ? manifestOrder.get(b.name) : Infinity;
+            if (orderA !== orderB) return orderA < orderB ? -1 : 1;
+            return naturalCompare(a.name, b.name);
+        });
+
+        return { name: file.name, items, manifest };
+    },
+
+    async commitImport(batch, mode) {
+        await FrameHistory.batch('Import frames', async () => {
+            if (mode === 'replace') {
+                await FrameStore.clearAll();
+            }
+
+            // One at a time, so the stored order matches the sorted import order.
+            const { importProfile } = await ProjectStore.getSettings();
+            for (const item of batch.items) {
+                await this.processFile(item.blob, item.hold, importProfile, item.annotations);
+            }
+        });
+
+        const manifest = batch.manifest;
+        if (manifest) {
+            const settings = {};
+            if (typeof manifest.fps === 'number') settings.fps = manifest.fps;
+            if (typeof manifest.loop === 'boolean') settings.loop = manifest.loop;
+            if (Object.keys(settings).length > 0) {
+                await ProjectStore.updateSettings(settings);
+            }
+        }
+    },
+
+    async processFile(file, hold, profile, annotations) {
+        if (!file || !file.type.startsWith('image/')) return;
+        const url = URL.createObjectURL(file);
+        try {
+            const img = await loadImageElement(url);
+            // Master keeps the imported bytes untouched instead of re-encoding them.
+            const image = await encodeFrame(img, profile, profile === 'master' ? file : null);
+            const frame = await FrameStore.addFrame(image, undefined, hold);
+            if (annotations) await FrameStore.setAnnotations(frame.id, annotations);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+        if (typeof FramesPageModule !== 'undefined') {
+            FramesPageModule.updateUI();
+        }
+    }
+};
+
+const ImportDialog = {
+    open(batch) {
+        const dialog = document.getElementById('import-dialog');
+        if (!dialog) return Promise.resolve('append');
+
+        const urls = batch.items.map(item => URL.createObjectURL(item.blob));
+        const preview = document.getElementById('import-preview');
+        if (preview) {
+            preview.innerHTML = batch.items.map((item, index) => `
+                <div class="import-item">
+                    <img src="${urls[index]}" alt="${escapeHtml(item.name)}" class="import-thumb">
+                    <span class="import-name">#${index + 1} ${escapeHtml(item.name.split('/').pop())}</span>
+                </div>
+            `).join('');
+        }
+
+        const summary = document.getElementById('import-summary');
+        if (summary) {
+            const parts = [`${batch.items.length} image${batch.items.length !== 1 ? 's' : ''} in this order`];
+            if (batch.manifest && typeof batch.manifest.fps === 'number') {
+                parts.push(`${batch.manifest.fps} FPS`);
+            }
+            if (batch.manifest && typeof batch.manifest.loop === 'boolean') {
+                parts.push(batch.manifest.loop ? 'loop on' : 'loop off');
+            }
+            const annotated = batch.items.filter(item => item.annotations).length;
+            if (annotated > 0) {
+                parts.push(`${annotated} annotated`);
+            }
+            summary.textContent = parts.join(' · ');
+        }
+
+        const profile = document.getElementById('import-profile');
+        if (profile) {
+            ProjectStore.getSettings().then(settings => profile.value = settings.importProfile);
+            profile.onchange = () => ProjectStore.updateSettings({ importProfile: profile.value });
+        }
+
+        dialog.style.display = 'flex';
+
+        return new Promise(resolve => {
+            const buttons = {
+                append: document.getElementById('btn-import-append'),
+                replace: document.getElementById('btn-import-replace'),
+                cancel: document.getElementById('btn-import-cancel')
+            };
+
+            const close = (mode) => {
+                dialog.style.display = 'none';
+                if (preview) preview.innerHTML = '';
+                urls.forEach(url => URL.revokeObjectURL(url));
+                Object.values(buttons).forEach(btn => {
+                    if (btn) btn.onclick = null;
+                });
+                resolve(mode);
+            };
+
+            if (buttons.append) buttons.append.onclick = () => close('append');
+            if (buttons.replace) buttons.replace.onclick = () => close('replace');
+            if (buttons.cancel) buttons.cancel.onclick = () => close(null);
+        });
+    }
+};
+
+// Live preview works on a downscaled copy of the original; the full-size render happens in FrameStore.setEdits.
+const FrameEditor = {
+    PREVIEW_MAX: 720,
+
+    async open(frame, options) {
+        const dialog = document.getElementById('frame-editor');
+        if (!dialog) return null;
+
+        const url = URL.createObjectURL(frame.original);
+        let source;
+        try {
+            source = await loadImageElement(url);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+        const scale = Math.min(1, this.PREVIEW_MAX / Math.max(source.naturalWidth, source.naturalHeight));
+        const base = document.createElement('canvas');
+        base.width = Math.round(source.naturalWidth * scale);
+        base.height = Math.round(source.naturalHeight * scale);
+        base.getContext('2d').drawImage(source, 0, 0, base.width, base.height);
+
+        let edits = normalizeFrameEdits(frame.edits);
+        const canvas = document.getElementById('editor-canvas');
+        const sliders = [...dialog.querySelectorAll('[data-edit]')];
+        const cropFields = [...dialog.querySelectorAll('[data-crop]')];
+
+        const render = () => {
+            sliders.forEach(slider => {
+                slider.value = edits[slider.dataset.edit];
+                const readout = dialog.querySelector(`[data-value="${slider.dataset.edit}"]`);
+                if (readout) readout.textContent = edits[slider.dataset.edit];
+            });
+            cropFields.forEach(field => field.value = edits.crop[field.dataset.crop]);
+            dialog.querySelector('#editor-flip-h').classList.toggle('active', edits.flipH);
+            dialog.querySelector('#editor-flip-v').classList.toggle('active', edits.flipV);
+
+            const result = renderFrameEdits(base, edits);
+            canvas.width = result.width;
+            canvas.height = result.height;
+            canvas.getContext('2d').drawImage(result, 0, 0);
+        };
+
+        sliders.forEach(slider => slider.oninput = () => {
+            edits = { ...edits, [slider.dataset.edit]: parseFloat(slider.value) };
+            render();
+        });
+        cropFields.forEach(field => field.oninput = () => {
+            const value = field.dataset.crop === 'aspect' ? field.value : parseFloat(field.value);
+            edits = { ...edits, crop: { ...edits.crop, [field.dataset.crop]: value } };
+            render();
+        });
+
+        // With one mirror active, a turn to the right is a turn to the left of the source.
+        const turn = (direction) => {
+            const mirrored = edits.flipH !== edits.flipV;
+            edits = normalizeFrameEdits({ ...edits, turns: edits.turns + (mirrored ? -direction : direction) });
+            render();
+        };
+        const controls = {
+            'editor-rotate-left': () => turn(-1),
+            'editor-rotate-right': () => turn(1),
+            'editor-flip-h': () => {
+                edits = { ...edits, flipH: !edits.flipH };
+                render();
+            },
+            'editor-flip-v': () => {
+                edits = { ...edits, flipV: !edits.flipV };
+                render();
+            },
+            'btn-editor-reset': () => {
+                edits = normalizeFrameEdits(null);
+                render();
+            }
+        };
+        Object.entries(controls).forEach(([id, run]) => document.getElementById(id).onclick = run);
+
+        const label = document.getElementById('editor-frame-label');
+        if (label) label.textContent = `#${options.index + 1}`;
+        const selectionBtn = document.getElementById('btn-editor-apply-selection');
+        selectionBtn.style.display = options.selectionCount > 1 ? '' : 'none';
+        selectionBtn.textContent = `Apply to Selection (${options.selectionCount})`;
+
+        render();
+        dialog.style.display = 'flex';
+
+        return new Promise(resolve => {
+            const buttons = {
+                frame: document.getElementById('btn-editor-apply'),
+                selection: selectionBtn,
+                all: document.getElementById('btn-editor-apply-all'),
+                cancel: document.getElementById('btn-editor-cancel')
+            };
+
+            const onKey = (e) => {
+                if (e.key === 'Escape') close(null);
+            };
+            const close = (result) => {
+                dialog.style.display = 'none';
+                Object.values(buttons).forEach(btn => btn.onclick = null);
+                document.removeEventListener('keydown', onKey);
+                resolve(result);
+            };
+            document.addEventListener('keydown', onKey);
+
+            buttons.frame.onclick = () => close({ scope: 'frame', edits });
+            buttons.selection.onclick = () => close({ scope: 'selection', edits });
+            buttons.all.onclick = () => close({ scope: 'all', edits });
+            buttons.cancel.onclick = () => close(null);
+        });
+    }
+};
+
+// Estimates how far each frame has moved and turned against a reference frame by phase correlation
+// of small grayscale copies. Rotation is found by trying angles and keeping the sharpest peak.
+const Stabilizer = {
+    SIZE: 256,
+    THUMB_MAX: 480,
+    MAX_ZOOM: 1.6,
+
+    // In-place iterative radix-2 FFT over one row or column of a SIZE x SIZE grid.
+    fft(re, im, offset, stride, inverse) {
+        const n = this.SIZE;
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                const a = offset + i * stride;
+                const b = offset + j * stride;
+                [re[a], re[b]] = [re[b], re[a]];
+                [im[a], im[b]] = [im[b], im[a]];
+            }
+        }
+        for (let length = 2; length <= n; length <<= 1) {
+            const angle = (inverse ? 2 : -2) * Math.PI / length;
+            const stepRe = Math.cos(angle);
+            const stepIm = Math.sin(angle);
+            for (let start = 0; start < n; start += length) {
+                let wRe = 1;
+                let wIm = 0;
+                for (let k = 0; k < length / 2; k++) {
+                    const a = offset + (start + k) * stride;
+                    const b = offset + (start + k + length / 2) * stride;
+                    const tRe = re[b] * wRe - im[b] * wIm;
+                    const tIm = re[b] * wIm + im[b] * wRe;
+                    re[b] = re[a] - tRe;
+                    im[b] = im[a] - tIm;
+                    re[a] += tRe;
+                    im[a] += tIm;
+                    [wRe, wIm] = [wRe * stepRe - wIm * stepIm, wRe * stepIm + wIm * stepRe];
+                }
+            }
+        }
+    },
+
+    fft2d(re, im, inverse) {
+        for (let row = 0; row < this.SIZE; row++) this.fft(re, im, row * this.SIZE, 1, inverse);
+        for (let column = 0; column < this.SIZE; column++) this.fft(re, im, column, this.SIZE, inverse);
+    },
+
+    // Frames are analyzed from their originals, so earlier edits don't skew the measurement.
+    async thumbnail(frame) {
+        const url = URL.createObjectURL(frame.original);
+        try {
+            const img = await loadImageElement(url);
+            const scale = Math.min(1, this.THUMB_MAX / Math.max(img.naturalWidth, img.naturalHeight));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+            canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+            canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+            return canvas;
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    },
+
+    // Spectrum of the thumbnail fitted into the grid and turned by angle degrees. Areas the picture
+    // doesn't cover are left at its mean, and a Hann window keeps the edges from dominating the peak.
+    spectrum(thumb, angle) {
+        const size = this.SIZE;
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        const scale = size / Math.max(thumb.width, thumb.height);
+        ctx.translate(size / 2, size / 2);
+        ctx.rotate(angle * Math.PI / 180);
+        ctx.drawImage(thumb, -thumb.width * scale / 2, -thumb.height * scale / 2, thumb.width * scale, thumb.height * scale);
+        const data = ctx.getImageData(0, 0, size, size).data;
+
+        const re = new Float64Array(size * size);
+        const im = new Float64Array(size * size);
+        let sum = 0;
+        let covered = 0;
+        for (let i = 0; i < re.length; i++) {
+            const p = i * 4;
+            if (data[p + 3] < 128) continue;
+            re[i] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+            sum += re[i];
+            covered++;
+        }
+        const mean = covered ? sum / covered : 0;
+        for (let y = 0; y < size; y++) {
+            const wy = 0.5 - 0.5 * Math.cos(2 * Math.PI * y / (size - 1));
+            for (let x = 0; x < size; x++) {
+                const i = y * size + x;
+                const wx = 0.5 - 0.5 * Math.cos(2 * Math.PI * x / (size - 1));
+                re[i] = data[i * 4 + 3] < 128 ? 0 : (re[i] - mean) * wx * wy;
+            }
+        }
+        this.fft2d(re, im, false);
+        return { re, im, scale };
+    },
+
+    // Returns the shift, in grid pixels, that moves the target onto the reference and the peak height.
+    correlate(reference, target) {
+        const size = this.SIZE;
+        const re = new Float64Array(size * size);
+        const im = new Float64Array(size * size);
+        for (let i = 0; i < re.length; i++) {
+            const cRe = reference.re[i] * target.re[i] + reference.im[i] * target.im[i];
+            const cIm = reference.im[i] * target.re[i] - reference.re[i] * target.im[i];
+            const magnitude = Math.hypot(cRe, cIm) || 1;
+            re[i] = cRe / magnitude;
+            im[i] = cIm / magnitude;
+        }
+        this.fft2d(re, im, true);
+
+        let best = 0;
+        for (let i = 1; i < re.length; i++) {
+            if (re[i] > re[best]) best = i;
+        }
+        const px = best % size;
+        const py = Math.floor(best / size);
+        const at = (x, y) => re[((y + size) % size) * size + (x + size) % size];
+
+        // A parabola through the peak and its neighbours gives the sub-pixel position.
+        const refine = (before, peak, after) => {
+            const denominator = before - 2 * peak + after;
+            return denominator < 0 ? 0.5 * (before - after) / denominator : 0;
+        };
+        const dx = px + refine(at(px - 1, py), at(px, py), at(px + 1, py));
+        const dy = py + refine(at(px, py - 1), at(px, py), at(px, py + 1));
+        return {
+            x: dx > size / 2 ? dx - size : dx,
+            y: dy > size / 2 ? dy - size : dy,
+            peak: re[best] / re.length
+        };
+    },
+
+    estimate(reference, thumb, maxAngle) {
+        const measure = (angle) => ({ angle, ...this.correlate(reference, this.spectrum(thumb, angle)) });
+
+        let best = measure(0);
+        const steps = [];
+        for (let angle = -Math.floor(maxAngle); angle <= maxAngle; angle++) {
+            if (angle !== 0) steps.push(angle);
+        }
+        const keepBest = (angle) => {
+            const result = measure(angle);
+            if (result.peak > best.peak) best = result;
+        };
+        steps.forEach(keepBest);
+        if (maxAngle > 0) {
+            [0.5, 0.25].forEach(delta => {
+                const center = best.angle;
+                [center - delta, center + delta].filter(angle => Math.abs(angle) <= maxAngle).forEach(keepBest);
+            });
+        }
+
+        const scale = reference.scale;
+        return {
+            x: best.x / (thumb.width * scale),
+            y: best.y / (thumb.height * scale),
+            angle: best.angle,
+            scale: 1
+        };
+    },
+
+    // Smallest zoom, shared by every frame, at which no frame shows an empty edge after its shift and rotation.
+    commonScale(aligns, width, height) {
+        const fits = (scale) => aligns.every(align => {
+            const angle = align.angle * Math.PI / 180;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            return [[-1, -1], [1, -1], [-1, 1], [1, 1]].every(([cx, cy]) => {
+                const vx = cx * width / 2 / scale - align.x * width;
+                const vy = cy * height / 2 / scale - align.y * height;
+                return Math.abs(cos * vx + sin * vy) <= width / 2 + 1e-6
+                    && Math.abs(-sin * vx + cos * vy) <= height / 2 + 1e-6;
+            });
+        });
+
+        if (fits(1)) return 1;
+        if (!fits(this.MAX_ZOOM)) return this.MAX_ZOOM;
+        let low = 1;
+        let high = this.MAX_ZOOM;
+        for (let i = 0; i < 30; i++) {
+            const middle = (low + high) / 2;
+            if (fits(middle)) high = middle;
+            else low = middle;
+        }
+        return high;
+    },
+
+    // Resolves { thumbs, aligns } in the order of frames; the reference frame gets no shift or rotation.
+    async analyze(frames, options, onProgress) {
+        const thumbs = [];
+        for (const frame of frames) {
+            thumbs.push(await this.thumbnail(frame));
+            if (onProgress) onProgress(thumbs.length, frames.length * 2);
+        }
+
+        const referenceIndex = { first: 0, middle: Math.floor((frames.length - 1) / 2), last: frames.length - 1 }[options.reference] || 0;
+        const reference = this.spectrum(thumbs[referenceIndex], 0);
+        const aligns = [];
+        for (let i = 0; i < thumbs.length; i++) {
+            aligns.push(i === referenceIndex ? { ...FRAME_EDIT_DEFAULTS.align } : this.estimate(reference, thumbs[i], options.maxAngle));
+            if (onProgress) onProgress(frames.length + aligns.length, frames.length * 2);
+            // Yield so the progress bar repaints between frames.
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        if (options.crop) {
+            const { width, height } = thumbs[referenceIndex];
+            const scale = this.commonScale(aligns, width, height);
+            aligns.forEach(align => align.scale = scale);
+        }
+        return { thumbs, aligns };
+    }
+};
+
+// Batch stabilization dialog for the frames page. Resolves a Map of frame id to align edits, or null if cancelled.
+const StabilizeDialog = {
+    async open(frames) {
+        const dialog = document.getElementById('stabilize-dialog');
+        if (!dialog) return null;
+
+        const canvas = document.getElementById('stabilize-canvas');
+        const status = document.getElementById('stabilize-status');
+        const progress = document.getElementById('stabilize-progress');
+        const compare = document.getElementById('stabilize-compare');
+        const applyBtn = document.getElementById('btn-stabilize-apply');
+        const fields = {
+            reference: document.getElementById('stabilize-reference'),
+            maxAngle: document.getElementById('stabilize-rotation'),
+            crop: document.getElementById('stabilize-crop')
+        };
+        const { fps } = await ProjectStore.getSettings();
+
+        let analysis = null;
+        let token = null;
+        let timer = null;
+        let index = 0;
+
+        const summary = (aligns) => {
+            const shift = Math.max(...aligns.map(align => Math.hypot(align.x, align.y)));
+            const angle = Math.max(...aligns.map(align => Math.abs(align.angle)));
+            return `Largest shift ${(shift * 100).toFixed(1)}%, rotation ${angle.toFixed(2)}°, zoom ${Math.round(aligns[0].scale * 100)}%`;
+        };
+
+        const drawPreview = () => {
+            if (!analysis) return;
+            const frame = frames[index];
+            const edits = normalizeFrameEdits(frame.edits);
+            if (!compare.checked) edits.align = analysis.aligns[index];
+            const result = renderFrameEdits(analysis.thumbs[index], edits);
+            canvas.width = result.width;
+            canvas.height = result.height;
+            canvas.getContext('2d').drawImage(result, 0, 0);
+            index = (index + 1) % frames.length;
+        };
+
+        const stopPreview = () => {
+            clearInterval(timer);
+            timer = null;
+        };
+
+        const runAnalysis = async () => {
+            const current = token = {};
+            stopPreview();
+            analysis = null;
+            applyBtn.disabled = true;
+            progress.style.display = '';
+            progress.value = 0;
+            status.textContent = 'Analyzing…';
+
+            const options = {
+                reference: fields.reference.value,
+                maxAngle: parseFloat(fields.maxAngle.value),
+                crop: fields.crop.checked
+            };
+            try {
+                const result = await Stabilizer.analyze(frames, options, (done, total) => {
+                    if (current !== token) return;
+                    progress.value = done / total;
+                    status.textContent = `Analyzing… ${Math.round(done / total * 100)}%`;
+                });
+                if (current !== token) return;
+                analysis = result;
+                status.textContent = summary(result.aligns);
+                applyBtn.disabled = false;
+                index = 0;
+                drawPreview();
+                timer = setInterval(drawPreview, 1000 / fps);
+            } catch (err) {
+                if (current !== token) return;
+                console.error('Stabilization analysis failed', err);
+                status.textContent = 'Analysis failed';
+            } finally {
+                if (current === token) progress.style.display = 'none';
+            }
+        };
+
+        Object.values(fields).forEach(field => field.onchange = runAnalysis);
+        compare.checked = false;
+        compare.onchange = () => {
+            if (!timer) drawPreview();
+        };
+
+        const label = document.getElementById('stabilize-frame-count');
+        if (label) label.textContent = `(${frames.length} frames)`;
+        dialog.style.display = 'flex';
+        runAnalysis();
+
+        return new Promise(resolve => {
+            const buttons = {
+                apply: applyBtn,
+                remove: document.getElementById('btn-stabilize-remove'),
+                cancel: document.getElementById('btn-stabilize-cancel')
+            };
+
+            const onKey = (e) => {
+                if (e.key === 'Escape') close(null);
+            };
+            const close = (result) => {
+                token = null;
+                stopPreview();
+                dialog.style.display = 'none';
+                Object.values(buttons).forEach(btn => btn.onclick = null);
+                Object.values(fields).forEach(field => field.onchange = null);
+                compare.onchange = null;
+                document.removeEventListener('keydown', onKey);
+                resolve(result);
+            };
+            document.addEventListener('keydown', onKey);
+
+            buttons.apply.onclick = () => close(new Map(frames.map((frame, i) => [frame.id, analysis.aligns[i]])));
+            buttons.remove.onclick = () => close(new Map(frames.map(frame => [frame.id, { ...FRAME_EDIT_DEFAULTS.align }])));
+            buttons.cancel.onclick = () => close(null);
+        });
+    }
+};
+
+// Drawing layer over an image that is shown with object-fit: contain. The canvas covers the image's box
+// and the toolbar holds [data-annotation-tool] buttons, a colour and a size input, and undo/clear buttons.
+// onChange(annotations) is called after every finished stroke, note, undo or clear.
+function createAnnotator(canvas, options) {
+    const { image, toolbar, onChange } = options;
+    let annotations = [];
+    let current = null;
+    let tool = 'pen';
+    let enabled = false;
+
+    const colorInput = toolbar.querySelector('[data-annotation-color]');
+    const sizeInput = toolbar.querySelector('[data-annotation-size]');
+    const toolButtons = [...toolbar.querySelectorAll('[data-annotation-tool]')];
+    // Sizes are in thousandths of the frame height; notes are drawn larger than strokes of the same setting.
+    const size = () => parseInt(sizeInput.value) / 1000;
+
+    // Where the image content sits inside the canvas, in CSS pixels.
+    const contentRect = () => {
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        const sourceWidth = image.naturalWidth || width;
+        const sourceHeight = image.naturalHeight || height;
+        const scale = Math.min(width / sourceWidth, height / sourceHeight);
+        return {
+            x: (width - sourceWidth * scale) / 2,
+            y: (height - sourceHeight * scale) / 2,
+            width: sourceWidth * scale,
+            height: sourceHeight * scale
+        };
+    };
+
+    const render = () => {
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = Math.round(canvas.clientWidth * ratio);
+        canvas.height = Math.round(canvas.clientHeight * ratio);
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (!image.naturalWidth) return;
+
+        const rect = contentRect();
+        ctx.scale(ratio, ratio);
+        drawAnnotations(ctx, current ? [...annotations, current] : annotations, rect);
+    };
+
+    const commit = (next) => {
+        annotations = next;
+        render();
+        onChange(annotations);
+    };
+
+    const toPoint = (e) => {
+        const bounds = canvas.getBoundingClientRect();
+        const rect = contentRect();
+        const x = (e.clientX - bounds.left - rect.x) / rect.width;
+        const y = (e.clientY - bounds.top - rect.y) / rect.height;
+        return x < 0 || x > 1 || y < 0 || y > 1 ? null : [Math.round(x * 10000) / 10000, Math.round(y * 10000) / 10000];
+    };
+
+    canvas.addEventListener('pointerdown', (e) => {
+        if (!enabled || e.button !== 0) return;
+        const point = toPoint(e);
+        if (!point) return;
+        e.preventDefault();
+
+        if (tool === 'text') {
+            const text = prompt('Note text:');
+            if (text && text.trim()) {
+                commit([...annotations, { type: 'text', color: colorInput.value, size: size() * 4, x: point[0], y: point[1], text: text.trim() }]);
+            }
+            return;
+        }
+
+        current = { type: 'stroke', tool, color: colorInput.value, size: tool === 'eraser' ? size() * 3 : size(), points: point };
+        canvas.setPointerCapture(e.pointerId);
+        render();
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+        if (!current) return;
+        const point = toPoint(e);
+        if (!point) return;
+        current.points.push(...point);
+        render();
+    });
+
+    const finish = () => {
+        if (!current) return;
+        const stroke = current;
+        current = null;
+        commit([...annotations, stroke]);
+    };
+    canvas.addEventListener('pointerup', finish);
+    canvas.addEventListener('pointercancel', finish);
+
+    const selectTool = (name) => {
+        tool = name;
+        toolButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.annotationTool === name));
+        canvas.dataset.tool = name;
+    };
+    toolButtons.forEach(btn => btn.addEventListener('click', () => selectTool(btn.dataset.annotationTool)));
+    selectTool(tool);
+
+    const undoBtn = toolbar.querySelector('[data-annotation-undo]');
+    if (undoBtn) undoBtn.addEventListener('click', () => {
+        if (annotations.length > 0) commit(annotations.slice(0, -1));
+    });
+    const clearBtn = toolbar.querySelector('[data-annotation-clear]');
+    if (clearBtn) clearBtn.addEventListener('click', () => {
+        if (annotations.length > 0) commit([]);
+    });
+
+    image.addEventListener('load', render);
+    window.addEventListener('resize', render);
+
+    return {
+        setAnnotations(list) {
+            annotations = list ? list.slice() : [];
+            current = null;
+            render();
+        },
+
+        setEnabled(value) {
+            enabled = value;
+            current = null;
+            canvas.classList.toggle('active', value);
+            render();
+        },
+
+        render
+    };
+}
+
+// Annotation dialog for the frames page. Resolves the frame's new annotations, or null if cancelled.
+const AnnotationDialog = {
+    annotator: null,
+    annotations: [],
+
+    open(frame, index) {
+        const dialog = document.getElementById('annotate-dialog');
+        if (!dialog) return Promise.resolve(null);
+
+        const image = document.getElementById('annotate-image');
+        if (!this.annotator) {
+            this.annotator = createAnnotator(document.getElementById('annotate-canvas'), {
+                image,
+                toolbar: document.getElementById('annotate-toolbar'),
+                onChange: annotations => this.annotations = annotations
+            });
+            this.annotator.setEnabled(true);
+        }
+
+        const label = document.getElementById('annotate-frame-label');
+        if (label) label.textContent = `#${index + 1}`;
+        this.annotations = frame.annotations || [];
+        image.src = frame.url;
+        dialog.style.display = 'flex';
+        this.annotator.setAnnotations(this.annotations);
+
+        return new Promise(resolve => {
+            const saveBtn = document.getElementById('btn-annotate-save');
+            const cancelBtn = document.getElementById('btn-annotate-cancel');
+
+            const onKey = (e) => {
+                if (e.key === 'Escape') close(null);
+            };
+            const close = (result) => {
+                dialog.style.display = 'none';
+                saveBtn.onclick = null;
+                cancelBtn.onclick = null;
+                document.removeEventListener('keydown', onKey);
+                resolve(result);
+            };
+            document.addEventListener('keydown', onKey);
+
+            saveBtn.onclick = () => close(this.annotations);
+            cancelBtn.onclick = () => close(null);
+        });
+    }
+};
+
+// Reorders [data-id] items matching options.items inside a container whose contents may be re-rendered at any time.
+// Mouse drags start after a short move, touch and pen after a long press (or at once on options.handle),
+// and Alt+Arrow moves the focused item. onMove(ids, index) is called once per drop with the insertion
+// point in the current order, only when the order actually changes.
+function createSortable(container, options) {
+    const settings = { axis: 'vertical', group: id => [id], ...options };
+    let pending = null;
+    let drag = null;
+    let suppressClick = false;
+
+    const items = () => [...container.querySelectorAll(settings.items)];
+    const ids = () => items().map(item => item.dataset.id);
+
+    const reorder = (order, moving, index) => {
+        const rest = order.filter(id => !moving.includes(id));
+        const position = order.slice(0, index).filter(id => !moving.includes(id)).length;
+        rest.splice(position, 0, ...order.filter(id => moving.includes(id)));
+        return rest;
+    };
+
+    const commit = async (moving, index) => {
+        const order = ids();
+        if (reorder(order, moving, index).join() === order.join()) return false;
+        await settings.onMove(order.filter(id => moving.includes(id)), index);
+        return true;
+    };
+
+    // The insertion point is before or after whichever item is nearest to the pointer.
+    const locate = (x, y) => {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        items().forEach((item, index) => {
+            const rect = item.getBoundingClientRect();
+            const dx = Math.max(rect.left - x, 0, x - rect.right);
+            const dy = Math.max(rect.top - y, 0, y - rect.bottom);
+            if (dx * dx + dy * dy < nearestDistance) {
+                nearest = { index, rect };
+                nearestDistance = dx * dx + dy * dy;
+            }
+        });
+        if (!nearest) return null;
+
+        const rect = nearest.rect;
+        const after = settings.axis === 'vertical'
+            ? y > rect.top + rect.height / 2
+            : x > rect.left + rect.width / 2;
+        return { index: nearest.index + (after ? 1 : 0), rect, after };
+    };
+
+    const autoScroll = (y) => {
+        const edge = 40;
+        const step = (top, bottom) => y < top + edge ? -12 : y > bottom - edge ? 12 : 0;
+        if (container.scrollHeight > container.clientHeight) {
+            const rect = container.getBoundingClientRect();
+            container.scrollTop += step(rect.top, rect.bottom);
+        } else {
+            window.scrollBy(0, step(0, window.innerHeight));
+        }
+    };
+
+    const move = (x, y) => {
+        drag.ghost.style.transform = `translate(${x - drag.offsetX}px, ${y - drag.offsetY}px)`;
+        autoScroll(y);
+
+        drag.target = locate(x, y);
+        drag.indicator.style.display = drag.target ? 'block' : 'none';
+        if (!drag.target) return;
+
+        const { rect, after } = drag.target;
+        const box = settings.axis === 'vertical'
+            ? { left: rect.left, top: (after ? rect.bottom : rect.top) - 2, width: rect.width, height: 4 }
+            : { left: (after ? rect.right : rect.left) - 2, top: rect.top, width: 4, height: rect.height };
+        Object.entries(box).forEach(([key, value]) => drag.indicator.style[key] = `${value}px`);
+    };
+
+    const start = (item, pointerId, x, y) => {
+        const moving = settings.group(item.dataset.id);
+        const rect = item.getBoundingClientRect();
+
+        const ghost = item.cloneNode(true);
+        ghost.classList.add('sort-ghost');
+        ghost.removeAttribute('id');
+        ghost.style.width = `${rect.width}px`;
+        ghost.style.height = `${rect.height}px`;
+        if (moving.length > 1) ghost.dataset.count = moving.length;
+
+        const indicator = document.createElement('div');
+        indicator.className = 'sort-indicator';
+        document.body.append(ghost, indicator);
+
+        items().forEach(other => other.classList.toggle('sorting', moving.includes(other.dataset.id)));
+        drag = { moving, ghost, indicator, pointerId, offsetX: x - rect.left, offsetY: y - rect.top, target: null };
+        move(x, y);
+    };
+
+    const finish = async (drop) => {
+        const { moving, ghost, indicator, target } = drag;
+        drag = null;
+        ghost.remove();
+        indicator.remove();
+        items().forEach(item => item.classList.remove('sorting'));
+        if (drop && target) await commit(moving, target.index);
+    };
+
+    const cancelPending = () => {
+        if (pending) clearTimeout(pending.timer);
+        pending = null;
+    };
+
+    container.addEventListener('pointerdown', (e) => {
+        const item = e.target.closest(settings.items);
+        if (!item || !container.contains(item) || e.button !== 0 || drag) return;
+        if (e.target.closest('button, input, select, textarea, label, a')) return;
+
+        const immediate = e.pointerType === 'mouse' || (settings.handle && e.target.closest(settings.handle));
+        pending = { item, pointerId: e.pointerId, x: e.clientX, y: e.clientY, immediate };
+        if (!immediate) {
+            pending.timer = setTimeout(() => {
+                const press = pending;
+                pending = null;
+                start(press.item, press.pointerId, press.x, press.y);
+            }, 350);
+        }
+    });
+
+    window.addEventListener('pointermove', (e) => {
+        if (drag && e.pointerId === drag.pointerId) {
+            move(e.clientX, e.clientY);
+            return;
+        }
+        if (!pending || e.pointerId !== pending.pointerId) return;
+        if (Math.hypot(e.clientX - pending.x, e.clientY - pending.y) < 6) return;
+
+        // A touch that moves before the long press completes is a scroll, not a drag.
+        const press = pending;
+        cancelPending();
+        if (press.immediate) start(press.item, press.pointerId, press.x, press.y);
+    });
+
+    window.addEventListener('pointerup', (e) => {
+        cancelPending();
+        if (!drag || e.pointerId !== drag.pointerId) return;
+        suppressClick = true;
+        setTimeout(() => suppressClick = false, 0);
+        finish(true);
+    });
+
+    window.addEventListener('pointercancel', (e) => {
+        cancelPending();
+        if (drag && e.pointerId === drag.pointerId) finish(false);
+    });
+
+    window.addEventListener('keydown', (e) => {
+        if (drag && e.key === 'Escape') {
+            e.preventDefault();
+            finish(false);
+        }
+    });
+
+    // Keeps the page from scrolling under a touch drag.
+    container.addEventListener('touchmove', (e) => {
+        if (drag) e.preventDefault();
+    }, { passive: false });
+
+    container.addEventListener('contextmenu', (e) => {
+        if (drag || pending) e.preventDefault();
+    });
+
+    // The click that ends a drag must not also select or seek.
+    container.addEventListener('click', (e) => {
+        if (!suppressClick) return;
+        e.stopPropagation();
+        e.preventDefault();
+    }, true);
+
+    container.addEventListener('keydown', async (e) => {
+        const item = e.target.closest && e.target.closest(settings.items);
+        if (!item || e.target !== item || !e.altKey || e.ctrlKey || e.metaKey) return;
+        const direction = { ArrowUp: -1, ArrowLeft: -1, ArrowDown: 1, ArrowRight: 1 }[e.key];
+        if (!direction) return;
+        e.preventDefault();
+
+        // Up and down in a grid move by a whole row.
+        let step = 1;
+        if (settings.axis === 'grid' && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+            const all = items();
+            step = Math.max(1, all.filter(other => other.offsetTop === all[0].offsetTop).length);
+        }
+
+        const order = ids();
+        const moving = settings.group(item.dataset.id);
+        const positions = moving.map(id => order.indexOf(id)).filter(index => index !== -1);
+        const index = direction < 0 ? Math.min(...positions) - step : Math.max(...positions) + 1 + step;
+        if (index < 0 || index > order.length) return;
+
+        if (await commit(moving, index)) {
+            const moved = items().find(other => other.dataset.id === item.dataset.id);
+            if (moved) moved.focus();
+        }
+    });
+}
+
+const FramesPageModule = {
+    CLIPBOARD_KEY: 'onionmotion_clipboard',
+    frames: [],
+    selected: new Set(),
+    anchorId: null,
+    editing: false,
+
+    init() {
+        this.setupControls();
+        this.setupSelection();
+        this.setupShortcuts();
+        this.updateUI();
+    },
+
+    setupControls() {
+        const backBtn = document.getElementById('btn-back');
+        if (backBtn) {
+            backBtn.addEventListener('click', () => window.location.href = '/homepage');
+        }
+
+        const cameraBtn = document.getElementById('btn-camera');
+        if (cameraBtn) {
+            cameraBtn.addEventListener('click', () => window.location.href = '/');
+        }
+
+        const createBtn = document.getElementById('btn-create');
+        if (createBtn) {
+            createBtn.addEventListener('click', () => window.location.href = '/videopage');
+        }
+
+        const clearBtn = document.getElementById('btn-clear');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', async () => {
+                if (confirm('Do you really want to delete all frames?')) {
+                    await FrameStore.clearAll();
+                    this.updateUI();
+                }
+            });
+        }
+
+        const actions = {
+            'btn-select-all': () => this.selectAll(),
+            'btn-select-none': () => this.setSelection([]),
+            'btn-duplicate': () => this.duplicateSelected(),
+            'btn-move-start': () => this.moveSelected(0),
+            'btn-move-end': () => this.moveSelected(Infinity),
+            'btn-reverse': () => this.reverseSelected(),
+            'btn-stabilize': () => this.stabilize(),
+            'btn-copy': () => this.copySelected(),
+            'btn-paste': () => this.paste(),
+            'btn-delete-selected': () => this.deleteSelected()
+        };
+        Object.entries(actions).forEach(([id, run]) => {
+            const btn = document.getElementById(id);
+            if (btn) btn.addEventListener('click', run);
+        });
+    },
+
+    setupShortcuts() {
+        // Nothing behind the frame editor reacts to keys while it is open.
+        const unlessEditing = (run) => () => {
+            if (!this.editing) run();
+        };
+
+        ShortcutModule.init('frames', {
+            duplicate: {
+                label: 'Duplicate selected frames',
+                key: 'd',
+                run: unlessEditing(() => this.duplicateSelected())
+            },
+            deleteSelected: {
+                label: 'Delete selected frames',
+                key: 'Delete',
+                run: unlessEditing(() => this.deleteSelected())
+            },
+            moveStart: {
+                label: 'Move selection to start',
+                key: 'Home',
+                run: unlessEditing(() => this.moveSelected(0))
+            },
+            moveEnd: {
+                label: 'Move selection to end',
+                key: 'End',
+                run: unlessEditing(() => this.moveSelected(Infinity))
+            },
+            reverse: {
+                label: 'Reverse selected frames',
+                key: 'r',
+                run: unlessEditing(() => this.reverseSelected())
+            },
+            clearSelection: {
+                label: 'Clear selection',
+                key: 'Escape',
+                run: unlessEditing(() => this.setSelection([]))
+            }
+        }, [
+            { label: 'Select all', key: 'Ctrl + A' },
+            { label: 'Copy selected frames', key: 'Ctrl + C' },
+            { label: 'Paste after selection', key: 'Ctrl + V' }
+        ]);
+
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey || this.editing) return;
+            const target = e.target;
+            if (target.closest && target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+            const run = { a: () => this.selectAll(), c: () => this.copySelected(), v: () => this.paste() }[e.key.toLowerCase()];
+            if (!run) return;
+            e.preventDefault();
+            run();
+        });
+    },
+
+    async updateUI() {
+        const frames = await FrameStore.getFrames();
+        const grid = document.getElementById('frames-grid');
+        const createBtn = document.getElementById('btn-create');
+        const clearBtn = document.getElementById('btn-clear');
+        const selectionBar = document.getElementById('selection-bar');
+
+        if (!grid) return;
+
+        this.frames = frames;
+        this.selected = new Set(frames.filter(frame => this.selected.has(frame.id)).map(frame => frame.id));
+        if (!this.selected.has(this.anchorId)) this.anchorId = null;
+
+        if (createBtn) {
+            createBtn.disabled = frames.length === 0;
+            createBtn.textContent = `Create Animation (${frames.length} frames)`;
+        }
+        if (clearBtn) {
+            clearBtn.disabled = frames.length === 0;
+        }
+        if (selectionBar) {
+            selectionBar.style.display = frames.length === 0 ? 'none' : 'flex';
+        }
+
+        if (frames.length === 0) {
+            grid.innerHTML = `
+                <div class="frames-empty">
+                    <div class="empty-icon">🖼️</div>
+                    <p class="empty-text">No frames yet</p>
+                    <p class="empty-hint">Upload images to get started</p>
+                </div>
+            `;
+            grid.classList.add('empty');
+            return;
+        }
+
+        grid.classList.remove('empty');
+        grid.innerHTML = frames.map((frame, index) => `
+            <div class="frame-card" tabindex="0" data-index="${index}" data-id="${frame.id}">
+                <div class="frame-number">#${index + 1}</div>
+                <div class="btn-drag">⋮⋮</div>
+                <img src="${frame.previewUrl}" alt="Frame ${index + 1}" class="frame-image" draggable="false">
+                ${frame.edits ? '<span class="frame-edited" title="Edited">✎</span>' : ''}
+                ${frame.annotations ? '<span class="frame-annotated" title="Has annotations">📝</span>' : ''}
+                <button class="btn-edit" data-id="${frame.id}" title="Edit frame">✏️</button>
+                <button class="btn-annotate" data-id="${frame.id}" title="Annotate frame">🖍️</button>
+                <button class="btn-delete" data-id="${frame.id}">🗑️</button>
+            </div>
+        `).join('');
+
+        this.setupDeleteButtons();
+        this.renderSelection();
+    },
+
+    selectedIds() {
+        return this.frames.filter(frame => this.selected.has(frame.id)).map(frame => frame.id);
+    },
+
+    setSelection(ids) {
+        this.selected = new Set(ids);
+        this.renderSelection();
+    },
+
+    selectAll() {
+        this.setSelection(this.frames.map(frame => frame.id));
+    },
+
+    renderSelection() {
+        document.querySelectorAll('.frame-card').forEach(card => {
+            card.classList.toggle('selected', this.selected.has(card.dataset.id));
+        });
+
+        const count = document.getElementById('selection-count');
+        if (count) {
+            count.textContent = this.selected.size > 0
+                ? `${this.selected.size} selected`
+                : 'Click, Shift-click or drag across frames to select';
+        }
+        document.querySelectorAll('[data-needs-selection]').forEach(btn => {
+            btn.disabled = this.selected.size === 0;
+        });
+        const pasteBtn = document.getElementById('btn-paste');
+        if (pasteBtn) pasteBtn.disabled = this.readClipboard().length === 0;
+    },
+
+    // Click selects one frame, Ctrl/Cmd-click toggles, Shift-click extends from the last clicked frame.
+    selectCard(id, e) {
+        const ids = this.frames.map(frame => frame.id);
+        const additive = e.ctrlKey || e.metaKey;
+
+        if (e.shiftKey && this.anchorId) {
+            const [from, to] = [ids.indexOf(this.anchorId), ids.indexOf(id)].sort((a, b) => a - b);
+            const range = ids.slice(from, to + 1);
+            this.setSelection(additive ? [...this.selected, ...range] : range);
+            return;
+        }
+
+        if (additive) {
+            const next = new Set(this.selected);
+            next.has(id) ? next.delete(id) : next.add(id);
+            this.setSelection(next);
+        } else {
+            this.setSelection([id]);
+        }
+        this.anchorId = id;
+    },
+
+    setupSelection() {
+        const grid = document.getElementById('frames-grid');
+        if (!grid) return;
+
+        grid.addEventListener('click', (e) => {
+            const card = e.target.closest('.frame-card');
+            if (!card || e.target.closest('.btn-delete')) return;
+            if (e.target.closest('.btn-edit')) {
+                this.editFrame(card.dataset.id);
+                return;
+            }
+            if (e.target.closest('.btn-annotate')) {
+                this.annotateFrame(card.dataset.id);
+                return;
+            }
+            this.selectCard(card.dataset.id, e);
+        });
+
+        grid.addEventListener('dblclick', (e) => {
+            const card = e.target.closest('.frame-card');
+            if (card && !e.target.closest('button')) this.editFrame(card.dataset.id);
+        });
+
+        // Dragging a selected card drags the whole selection.
+        createSortable(grid, {
+            items: '.frame-card',
+            axis: 'grid',
+            handle: '.btn-drag',
+            group: id => this.selected.has(id) ? this.selectedIds() : [id],
+            onMove: async (ids, index) => {
+                await FrameStore.moveFrames(ids, index);
+                await this.updateUI();
+            }
+        });
+
+        // Marquee selection starts anywhere on the card outside a frame or a control.
+        const area = grid.closest('.frames-card') || grid;
+        let start = null;
+        let base = [];
+        let marquee = null;
+
+        area.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0 || this.frames.length === 0) return;
+            if (e.target.closest('.frame-card, button, label, input, select, a')) return;
+            start = { x: e.clientX, y: e.clientY };
+            base = e.shiftKey || e.ctrlKey || e.metaKey ? [...this.selected] : [];
+            area.setPointerCapture(e.pointerId);
+        });
+
+        area.addEventListener('pointermove', (e) => {
+            if (!start) return;
+            if (!marquee) {
+                if (Math.hypot(e.clientX - start.x, e.clientY - start.y) < 4) return;
+                marquee = document.createElement('div');
+                marquee.className = 'selection-marquee';
+                document.body.appendChild(marquee);
+            }
+
+            const left = Math.min(start.x, e.clientX);
+            const top = Math.min(start.y, e.clientY);
+            const right = Math.max(start.x, e.clientX);
+            const bottom = Math.max(start.y, e.clientY);
+            Object.assign(marquee.style, {
+                left: `${left}px`,
+                top: `${top}px`,
+                width: `${right - left}px`,
+                height: `${bottom - top}px`
+            });
+
+            const hits = [...grid.querySelectorAll('.frame-card')]
+                .filter(card => {
+                    const rect = card.getBoundingClientRect();
+                    return rect.left < right && rect.right > left && rect.top < bottom && rect.bottom > top;
+                })
+                .map(card => card.dataset.id);
+            this.setSelection([...base, ...hits]);
+        });
+
+        const finish = () => {
+            if (!start) return;
+            // A plain click on empty space clears the selection.
+            if (!marquee && base.length === 0) this.setSelection([]);
+            if (marquee) marquee.remove();
+            start = null;
+            marquee = null;
+        };
+        area.addEventListener('pointerup', finish);
+        area.addEventListener('pointercancel', finish);
+    },
+
+    async editFrame(id) {
+        const index = this.frames.findIndex(frame => frame.id === id);
+        if (index === -1) return;
+
+        this.editing = true;
+        let result;
+        try {
+            result = await FrameEditor.open(this.frames[index], { index, selectionCount: this.selected.size });
+        } finally {
+            this.editing = false;
+        }
+        if (!result) return;
+
+        const ids = {
+            frame: [id],
+            selection: this.selectedIds(),
+            all: this.frames.map(frame => frame.id)
+        }[result.scope];
+
+        // Stabilization is measured per frame, so it stays with each frame rather than being copied.
+        const edits = frame => ({ ...result.edits, align: normalizeFrameEdits(frame.edits).align });
+        const count = document.getElementById('selection-count');
+        try {
+            await FrameStore.setEdits(ids, edits, (done, total) => {
+                if (count && total > 1) count.textContent = `Applying edits… ${done} / ${total}`;
+            });
+        } catch (err) {
+            console.error('Applying frame edits failed', err);
+            alert('Could not apply the edits to every frame.');
+        }
+        await this.updateUI();
+    },
+
+    async annotateFrame(id) {
+        const index = this.frames.findIndex(frame => frame.id === id);
+        if (index === -1) return;
+
+        this.editing = true;
+        let annotations;
+        try {
+            annotations = await AnnotationDialog.open(this.frames[index], index);
+        } finally {
+            this.editing = false;
+        }
+        if (!annotations || JSON.stringify(annotations) === JSON.stringify(this.frames[index].annotations || [])) return;
+
+        try {
+            await FrameStore.setAnnotations(id, annotations);
+        } catch (err) {
+            console.error('Saving annotations failed', err);
+        }
+        await this.updateUI();
+    },
+
+    // Stabilizes the selection, or the whole project when fewer than two frames are selected.
+    async stabilize() {
+        const ids = this.selected.size > 1 ? this.selectedIds() : this.frames.map(frame => frame.id);
+        const frames = this.frames.filter(frame => ids.includes(frame.id));
+        if (frames.length < 2 || this.editing) return;
+
+        this.editing = true;
+        let aligns;
+        try {
+            aligns = await StabilizeDialog.open(frames);
+        } finally {
+            this.editing = false;
+        }
+        if (!aligns) return;
+
+        const count = document.getElementById('selection-count');
+        try {
+            await FrameStore.setEdits(ids, frame => ({ ...frame.edits, align: aligns.get(frame.id) }), (done, total) => {
+                if (count) count.textContent = `Stabilizing… ${done} / ${total}`;
+            }, 'Stabilize frames');
+        } catch (err) {
+            console.error('Stabilizing frames failed', err);
+            alert('Could not stabilize every frame.');
+        }
+        await this.updateUI();
+    },
+
+    async duplicateSelected() {
+        const ids = this.selectedIds();
+        if (ids.length === 0) return;
+
+        const last = this.frames.findIndex(frame => frame.id === ids[ids.length - 1]);
+        const copies = await FrameStore.copyFrames(ids, last + 1, 'Duplicate frames');
+        this.selected = new Set(copies.map(frame => frame.id));
+        await this.updateUI();
+    },
+
+    async deleteSelected() {
+        const ids = this.selectedIds();
+        if (ids.length === 0) return;
+
+        await FrameStore.deleteFrames(ids);
+        await this.updateUI();
+    },
+
+    async moveSelected(index) {
+        const ids = this.selectedIds();
+        if (ids.length === 0) return;
+
+        await FrameStore.moveFrames(ids, index);
+        await this.updateUI();
+    },
+
+    async reverseSelected() {
+        const ids = this.selectedIds();
+        if (ids.length < 2) return;
+
+        await FrameStore.reverseFrames(ids);
+        await this.updateUI();
+    },
+
+    // The clipboard lives in localStorage so frames can be pasted into another project.
+    copySelected() {
+        const ids = this.selectedIds();
+        if (ids.length === 0) return;
+
+        localStorage.setItem(this.CLIPBOARD_KEY, JSON.stringify({ projectId: FrameStore.projectId, ids }));
+        this.renderSelection();
+        const count = document.getElementById('selection-count');
+        if (count) count.textContent = `Copied ${ids.length} frame${ids.length === 1 ? '' : 's'}`;
+    },
+
+    readClipboard() {
+        try {
+            const clipboard = JSON.parse(localStorage.getItem(this.CLIPBOARD_KEY));
+            return clipboard && Array.isArray(clipboard.ids) ? clipboard.ids : [];
+        } catch (err) {
+            return [];
+        }
+    },
+
+    // Pastes after the selection, or at the end when nothing is selected.
+    async paste() {
+        const ids = this.readClipboard();
+        if (ids.length === 0) return;
+
+        const selected = this.selectedIds();
+        const index = selected.length > 0
+            ? this.frames.findIndex(frame => frame.id === selected[selected.length - 1]) + 1
+            : this.frames.length;
+        const copies = await FrameStore.copyFrames(ids, index);
+
+        if (copies.length < ids.length) {
+            alert(copies.length === 0
+                ? 'The copied frames no longer exist.'
+                : `${ids.length - copies.length} of the copied frames no longer exist and were skipped.`);
+        }
+        this.selected = new Set(copies.map(frame => frame.id));
+        await this.updateUI();
+    },
+
+    setupDeleteButtons() {
+        document.querySelectorAll('.btn-delete').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                await FrameStore.deleteFrame(btn.dataset.id);
+                this.updateUI();
+            });
+        });
+    }
+};
+
+function loadImageElement(src) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = reject;
+        img.src = src;
+    });
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function drawFrameFitted(ctx, img, options) {
+    const width = ctx.canvas.width;
+    const height = ctx.canvas.height;
+    ctx.fillStyle = options.background || '#000000';
+    ctx.fillRect(0, 0, width, height);
+
+    const sourceWidth = img.naturalWidth || img.width;
+    const sourceHeight = img.naturalHeight || img.height;
+    if (options.fit === 'stretch' || !sourceWidth || !sourceHeight) {
+        ctx.drawImage(img, 0, 0, width, height);
+        return { x: 0, y: 0, width, height };
+    }
+
+    const scale = options.fit === 'crop'
+        ? Math.max(width / sourceWidth, height / sourceHeight)
+        : Math.min(width / sourceWidth, height / sourceHeight);
+    const drawWidth = sourceWidth * scale;
+    const drawHeight = sourceHeight * scale;
+    const x = (width - drawWidth) / 2;
+    const y = (height - drawHeight) / 2;
+    ctx.drawImage(img, x, y, drawWidth, drawHeight);
+    return { x, y, width: drawWidth, height: drawHeight };
+}
+
+// Draws one export frame, applying its flicker correction to the picture but not the letterbox bars,
+// then any annotations the job includes.
+async function drawExportFrame(ctx, frame, options) {
+    const rect = drawFrameFitted(ctx, await loadImageElement(frame.url), options);
+    if (frame.correction) Deflicker.apply(ctx, rect, frame.correction);
+    if (frame.annotations) drawAnnotations(ctx, frame.annotations, rect);
+}
+
+const IMAGE_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp',
+    'image/gif': 'gif'
+};
+
+function extensionForType(type) {
+    return IMAGE_EXTENSIONS[type] || 'bin';
+}
+
+function typeForFilename(name) {
+    const extension = name.split('.').pop().toLowerCase();
+    if (extension === 'jpeg') return 'image/jpeg';
+    return Object.keys(IMAGE_EXTENSIONS).find(type => IMAGE_EXTENSIONS[type] === extension) || '';
+}
+
+const naturalCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+function naturalCompare(a, b) {
+    return naturalCollator.compare(a, b);
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
             }
-            window.location.href = '/homepage';
-        });
+            crcTable[n] = c >>> 0;
+        }
     }
 
-    const previewBtn = document.getElementById('btn-preview');
-    if (previewBtn) {
-        previewBtn.addEventListener('click', () => {
-            window.location.href = '/videopage';
-        });
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
     }
+    return (crc ^ 0xffffffff) >>> 0;
 }
 
-const UploadModule = {
-    init() {
-        this.setupUploadHandlers();
-    },
+function createZipWriter() {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const entries = [];
+    let offset = 0;
 
-    setupUploadHandlers() {
-        const uploadInput = document.getElementById('upload-input');
-        if (uploadInput) {
-            uploadInput.addEventListener('change', (e) => this.handleFiles(e.target.files));
+    const dosDateTime = (date) => ({
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    });
+
+    return {
+        // Entries are stored uncompressed: frames are already compressed images.
+        async addFile(name, data, date = new Date()) {
+            const bytes = data instanceof Blob
+                ? new Uint8Array(await data.arrayBuffer())
+                : (typeof data === 'string' ? encoder.encode(data) : data);
+            const nameBytes = encoder.encode(name);
+            const stamp = dosDateTime(date);
+            const entry = { nameBytes, stamp, crc: crc32(bytes), size: bytes.length, offset };
+
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034b50, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(6, 0x0800, true);
+            header.setUint16(8, 0, true);
+            header.setUint16(10, stamp.time, true);
+            header.setUint16(12, stamp.date, true);
+            header.setUint32(14, entry.crc, true);
+            header.setUint32(18, entry.size, true);
+            header.setUint32(22, entry.size, true);
+            header.setUint16(26, nameBytes.length, true);
+            header.setUint16(28, 0, true);
+
+            parts.push(header.buffer, nameBytes, bytes);
+            offset += 30 + nameBytes.length + bytes.length;
+            entries.push(entry);
+        },
+
+        toBlob() {
+            const directoryStart = offset;
+            let directorySize = 0;
+
+            entries.forEach(entry => {
+                const header = new DataView(new ArrayBuffer(46));
+                header.setUint32(0, 0x02014b50, true);
+                header.setUint16(4, 20, true);
+                header.setUint16(6, 20, true);
+                header.setUint16(8, 0x0800, true);
+                header.setUint16(10, 0, true);
+                header.setUint16(12, entry.stamp.time, true);
+                header.setUint16(14, entry.stamp.date, true);
+                header.setUint32(16, entry.crc, true);
+                header.setUint32(20, entry.size, true);
+                header.setUint32(24, entry.size, true);
+                header.setUint16(28, entry.nameBytes.length, true);
+                header.setUint32(42, entry.offset, true);
+                parts.push(header.buffer, entry.nameBytes);
+                directorySize += 46 + entry.nameBytes.length;
+            });
+
+            const end = new DataView(new ArrayBuffer(22));
+            end.setUint32(0, 0x06054b50, true);
+            end.setUint16(8, entries.length, true);
+            end.setUint16(10, entries.length, true);
+            end.setUint32(12, directorySize, true);
+            end.setUint32(16, directoryStart, true);
+            parts.push(end.buffer);
+
+            return new Blob(parts, { type: 'application/zip' });
         }
+    };
+}
 
-        const addMoreInput = document.getElementById('add-more-input');
-        if (addMoreInput) {
-            addMoreInput.addEventListener('change', (e) => this.handleFiles(e.target.files));
+async function readZipEntries(blob) {
+    const buffer = await blob.arrayBuffer();
+    const view = new DataView(buffer);
+
+    let end = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 65535); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            end = i;
+            break;
         }
+    }
+    if (end === -1) throw new Error('Not a ZIP archive');
+
+    const decoder = new TextDecoder();
+    const count = view.getUint16(end + 10, true);
+    let pointer = view.getUint32(end + 16, true);
+    const entries = [];
+
+    for (let n = 0; n < count; n++) {
+        if (view.getUint32(pointer, true) !== 0x02014b50) throw new Error('Corrupt ZIP directory');
+        const method = view.getUint16(pointer + 10, true);
+        const compressedSize = view.getUint32(pointer + 20, true);
+        const nameLength = view.getUint16(pointer + 28, true);
+        const extraLength = view.getUint16(pointer + 30, true);
+        const commentLength = view.getUint16(pointer + 32, true);
+        const localOffset = view.getUint32(pointer + 42, true);
+        const name = decoder.decode(new Uint8Array(buffer, pointer + 46, nameLength));
+        pointer += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+
+        const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        entries.push({ name, method, data: buffer.slice(start, start + compressedSize) });
+    }
+    return entries;
+}
 
-        const dropZone = document.getElementById('drop-zone');
-        if (dropZone) {
-            dropZone.addEventListener('dragover', (e) => {
-                e.preventDefault();
-                dropZone.classList.add('drag-over');
-            });
+async function inflateZipEntry(entry, type = '') {
+    if (entry.method === 0) {
+        return new Blob([entry.data], { type });
+    }
+    if (entry.method === 8 && typeof DecompressionStream !== 'undefined') {
+        const stream = new Blob([entry.data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        const inflated = await new Response(stream).arrayBuffer();
+        return new Blob([inflated], { type });
+    }
+    throw new Error(`Unsupported compression in ${entry.name}`);
+}
 
-            dropZone.addEventListener('dragleave', () => {
-                dropZone.classList.remove('drag-over');
-            });
+function concatBytes(parts) {
+    const length = parts.reduce((sum, part) => sum + part.length, 0);
+    const out = new Uint8Array(length);
+    let offset = 0;
+    parts.forEach(part => {
+        out.set(part, offset);
+        offset += part.length;
+    });
+    return out;
+}
 
-            dropZone.addEventListener('drop', (e) => {
-                e.preventDefault();
-                dropZone.classList.remove('drag-over');
-                this.handleFiles(e.dataTransfer.files);
-            });
+function beBytes(value, size) {
+    const out = new Uint8Array(size);
+    for (let i = size - 1; i >= 0; i--) {
+        out[i] = value % 256;
+        value = Math.floor(value / 256);
+    }
+    return out;
+}
+
+function asciiBytes(text) {
+    return Uint8Array.from(text, char => char.charCodeAt(0));
+}
+
+function ebmlId(id) {
+    const size = id >= 0x1000000 ? 4 : id >= 0x10000 ? 3 : id >= 0x100 ? 2 : 1;
+    return beBytes(id, size);
+}
+
+function ebmlSize(size) {
+    let length = 1;
+    while (length < 8 && size >= Math.pow(2, 7 * length) - 1) length++;
+    const out = beBytes(size, length);
+    out[0] |= 1 << (8 - length);
+    return out;
+}
+
+function ebmlElement(id, ...children) {
+    const body = concatBytes(children);
+    return concatBytes([ebmlId(id), ebmlSize(body.length), body]);
+}
+
+function ebmlUint(id, value) {
+    let size = 1;
+    while (size < 8 && value >= Math.pow(2, 8 * size)) size++;
+    return ebmlElement(id, beBytes(value, size));
+}
+
+function ebmlFloat(id, value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return ebmlElement(id, bytes);
+}
+
+function ebmlString(id, text) {
+    return ebmlElement(id, new TextEncoder().encode(text));
+}
+
+// chunks: [{ data, timestamp, duration, key }] with times in microseconds.
+function muxWebM(track, chunks) {
+    const toMs = (us) => Math.round(us / 1000);
+    const last = chunks[chunks.length - 1];
+    const durationMs = last ? toMs(last.timestamp + last.duration) : 0;
+
+    const header = ebmlElement(0x1A45DFA3,
+        ebmlUint(0x4286, 1),
+        ebmlUint(0x42F7, 1),
+        ebmlUint(0x42F2, 4),
+        ebmlUint(0x42F3, 8),
+        ebmlString(0x4282, 'webm'),
+        ebmlUint(0x4287, 4),
+        ebmlUint(0x4285, 2)
+    );
+
+    const info = ebmlElement(0x1549A966,
+        ebmlUint(0x2AD7B1, 1000000),
+        ebmlString(0x4D80, 'OnionMotion'),
+        ebmlString(0x5741, 'OnionMotion'),
+        ebmlFloat(0x4489, durationMs)
+    );
+
+    const tracks = ebmlElement(0x1654AE6B,
+        ebmlElement(0xAE,
+            ebmlUint(0xD7, 1),
+            ebmlUint(0x73C5, 1),
+            ebmlUint(0x83, 1),
+            ebmlUint(0x9C, 0),
+            ebmlString(0x86, track.codecId),
+            ebmlElement(0xE0,
+                ebmlUint(0xB0, track.width),
+                ebmlUint(0xBA, track.height)
+            )
+        )
+    );
+
+    const clusters = [];
+    const cuePoints = [];
+    let position = info.length + tracks.length;
+    let current = null;
+
+    const closeCluster = () => {
+        if (!current) return;
+        const cluster = ebmlElement(0x1F43B675, ebmlUint(0xE7, current.start), ...current.blocks);
+        clusters.push(cluster);
+        position += cluster.length;
+    };
+
+    chunks.forEach(chunk => {
+        const time = toMs(chunk.timestamp);
+        if (!current || chunk.key || time - current.start > 30000) {
+            closeCluster();
+            current = { start: time, blocks: [] };
+            if (chunk.key) {
+                cuePoints.push(ebmlElement(0xBB,
+                    ebmlUint(0xB3, time),
+                    ebmlElement(0xB7, ebmlUint(0xF7, 1), ebmlUint(0xF1, position))
+                ));
+            }
         }
-    },
 
-    handleFiles(files) {
-        if (!files || files.length === 0) return;
+        const blockHeader = new Uint8Array(4);
+        blockHeader[0] = 0x81;
+        new DataView(blockHeader.buffer).setInt16(1, time - current.start);
+        blockHeader[3] = chunk.key ? 0x80 : 0x00;
+        current.blocks.push(ebmlElement(0xA3, blockHeader, chunk.data));
+    });
+    closeCluster();
+
+    const cues = ebmlElement(0x1C53BB6B, ...cuePoints);
+    const segment = ebmlElement(0x18538067, info, tracks, ...clusters, cues);
+    return new Blob([header, segment], { type: 'video/webm' });
+}
 
-        const tasks = Array.from(files).map(file => this.processFile(file));
+function mp4Box(type, ...parts) {
+    const body = concatBytes(parts);
+    return concatBytes([beBytes(body.length + 8, 4), asciiBytes(type), body]);
+}
 
-        Promise.all(tasks)
-            .then(() => {
-                if (window.location.pathname === '/homepage') {
-                    setTimeout(() => window.location.href = '/frames', 500);
-                }
-            })
-            .catch(err => console.error('Upload failed', err));
+function mp4FullBox(type, version, flags, ...parts) {
+    return mp4Box(type, beBytes(version, 1), beBytes(flags, 3), ...parts);
+}
+
+const MP4_MATRIX = [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000];
+
+function muxMP4(track, chunks) {
+    const timescale = 90000;
+    const toTicks = (us) => Math.round(us * timescale / 1000000);
+    const last = chunks[chunks.length - 1];
+    const endUs = last ? last.timestamp + last.duration : 0;
+    const durationTicks = toTicks(endUs);
+    const durationMs = Math.round(endUs / 1000);
+    const matrix = concatBytes(MP4_MATRIX.map(value => beBytes(value, 4)));
+
+    const deltas = chunks.map((chunk, index) => {
+        const next = index + 1 < chunks.length ? chunks[index + 1].timestamp : endUs;
+        return toTicks(next) - toTicks(chunk.timestamp);
+    });
+    const timeToSample = [];
+    deltas.forEach(delta => {
+        const run = timeToSample[timeToSample.length - 1];
+        if (run && run.delta === delta) {
+            run.count++;
+        } else {
+            timeToSample.push({ count: 1, delta });
+        }
+    });
+    const keySamples = chunks
+        .map((chunk, index) => chunk.key ? index + 1 : 0)
+        .filter(sample => sample > 0);
+
+    const ftyp = mp4Box('ftyp', asciiBytes('isom'), beBytes(512, 4), asciiBytes('isomiso2avc1mp41'));
+    const mdat = mp4Box('mdat', ...chunks.map(chunk => chunk.data));
+    const dataOffset = ftyp.length + 8;
+
+    const avc1 = mp4Box('avc1',
+        new Uint8Array(6), beBytes(1, 2),
+        new Uint8Array(16),
+        beBytes(track.width, 2), beBytes(track.height, 2),
+        beBytes(0x00480000, 4), beBytes(0x00480000, 4),
+        new Uint8Array(4), beBytes(1, 2),
+        new Uint8Array(32),
+        beBytes(0x0018, 2), beBytes(0xffff, 2),
+        mp4Box('avcC', track.description)
+    );
+
+    const stbl = mp4Box('stbl',
+        mp4FullBox('stsd', 0, 0, beBytes(1, 4), avc1),
+        mp4FullBox('stts', 0, 0, beBytes(timeToSample.length, 4),
+            ...timeToSample.map(run => concatBytes([beBytes(run.count, 4), beBytes(run.delta, 4)]))),
+        mp4FullBox('stss', 0, 0, beBytes(keySamples.length, 4), ...keySamples.map(sample => beBytes(sample, 4))),
+        mp4FullBox('stsc', 0, 0, beBytes(1, 4), beBytes(1, 4), beBytes(chunks.length, 4), beBytes(1, 4)),
+        mp4FullBox('stsz', 0, 0, beBytes(0, 4), beBytes(chunks.length, 4),
+            ...chunks.map(chunk => beBytes(chunk.data.length, 4))),
+        mp4FullBox('stco', 0, 0, beBytes(1, 4), beBytes(dataOffset, 4))
+    );
+
+    const trak = mp4Box('trak',
+        mp4FullBox('tkhd', 0, 3,
+            beBytes(0, 4), beBytes(0, 4), beBytes(1, 4), beBytes(0, 4), beBytes(durationMs, 4),
+            new Uint8Array(8), beBytes(0, 2), beBytes(0, 2), beBytes(0, 2), beBytes(0, 2),
+            matrix, beBytes(track.width * 65536, 4), beBytes(track.height * 65536, 4)
+        ),
+        mp4Box('mdia',
+            mp4FullBox('mdhd', 0, 0,
+                beBytes(0, 4), beBytes(0, 4), beBytes(timescale, 4), beBytes(durationTicks, 4),
+                beBytes(0x55c4, 2), beBytes(0, 2)
+            ),
+            mp4FullBox('hdlr', 0, 0, beBytes(0, 4), asciiBytes('vide'), new Uint8Array(12), asciiBytes('VideoHandler\0')),
+            mp4Box('minf',
+                mp4FullBox('vmhd', 0, 1, new Uint8Array(8)),
+                mp4Box('dinf', mp4FullBox('dref', 0, 0, beBytes(1, 4), mp4FullBox('url ', 0, 1))),
+                stbl
+            )
+        )
+    );
+
+    const moov = mp4Box('moov',
+        mp4FullBox('mvhd', 0, 0,
+            beBytes(0, 4), beBytes(0, 4), beBytes(1000, 4), beBytes(durationMs, 4),
+            beBytes(0x00010000, 4), beBytes(0x0100, 2), new Uint8Array(10),
+            matrix, new Uint8Array(24), beBytes(2, 4)
+        ),
+        trak
+    );
+
+    return new Blob([ftyp, mdat, moov], { type: 'video/mp4' });
+}
+
+const VideoExporter = {
+    CODECS: {
+        webm: [
+            { codec: 'vp09.00.10.08', codecId: 'V_VP9' },
+            { codec: 'vp8', codecId: 'V_VP8' }
+        ],
+        // Baseline only: it has no B-frames, so decode order matches presentation order and the muxer needs no ctts box.
+        mp4: [
+            { codec: 'avc1.420028', codecId: 'avc1' },
+            { codec: 'avc1.42001f', codecId: 'avc1' }
+        ]
     },
 
-    async processFile(file) {
-        if (!file || !file.type.startsWith('image/')) return;
-        const dataUrl = await this.readFileAsDataUrl(file);
-        const compressed = await compressImage(dataUrl, 1280, 0.7);
-        FrameStore.addFrame(compressed);
-        if (typeof FramesPageModule !== 'undefined') {
-            FramesPageModule.updateUI();
+    isSupported() {
+        return typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+    },
+
+    async findConfig(container, width, height, fps) {
+        for (const candidate of this.CODECS[container]) {
+            const config = {
+                codec: candidate.codec,
+                width: width,
+                height: height,
+                bitrate: Math.round(width * height * 4),
+                framerate: fps,
+                latencyMode: 'quality'
+            };
+            if (container === 'mp4') config.avc = { format: 'avc' };
+
+            const support = await VideoEncoder.isConfigSupported(config).catch(() => null);
+            if (support && support.supported) {
+                return { config: support.config, codecId: candidate.codecId };
+            }
         }
+        throw new Error(`No supported ${container.toUpperCase()} encoder in this browser`);
     },
 
-    readFileAsDataUrl(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => resolve(e.target.result);
-            reader.onerror = reject;
-            reader.readAsDataURL(file);
+    // Encodes every frame once with exact timestamps; extra loops reuse the encoded chunks.
+    async encode(frames, options) {
+        const { container, width, height, durations } = options;
+        const loops = Math.max(1, options.loops || 1);
+        const fps = 1000 / (durations.reduce((sum, ms) => sum + ms, 0) / durations.length);
+        const { config, codecId } = await this.findConfig(container, width, height, Math.round(fps));
+
+        const chunks = [];
+        let description = null;
+        let encoderError = null;
+        const encoder = new VideoEncoder({
+            output: (chunk, metadata) => {
+                const data = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(data);
+                chunks.push({ data, timestamp: chunk.timestamp, duration: chunk.duration, key: chunk.type === 'key' });
+                const source = metadata && metadata.decoderConfig && metadata.decoderConfig.description;
+                if (source && !description) {
+                    description = source instanceof ArrayBuffer
+                        ? new Uint8Array(source.slice(0))
+                        : new Uint8Array(source.buffer, source.byteOffset, source.byteLength).slice();
+                }
+            },
+            error: (err) => {
+                encoderError = err;
+            }
         });
-    }
-};
+        encoder.configure(config);
 
-const FramesPageModule = {
-    draggedIndex: null,
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const keyInterval = Math.max(1, Math.round(fps * 2));
 
-    init() {
-        this.setupControls();
-        this.updateUI();
-    },
+        try {
+            let timestamp = 0;
+            for (let i = 0; i < frames.length; i++) {
+                if (encoderError) throw encoderError;
+                await drawExportFrame(ctx, frames[i], options);
+
+                const duration = Math.round(durations[i] * 1000);
+                const videoFrame = new VideoFrame(canvas, { timestamp, duration });
+                encoder.encode(videoFrame, { keyFrame: i % keyInterval === 0 });
+                videoFrame.close();
+                timestamp += duration;
+
+                while (encoder.encodeQueueSize > 2) {
+                    await new Promise(resolve => setTimeout(resolve, 5));
+                }
+                if (options.onProgress) options.onProgress((i + 1) / frames.length);
+            }
+            await encoder.flush();
+            if (encoderError) throw encoderError;
+        } finally {
+            if (encoder.state !== 'closed') encoder.close();
+        }
 
-    setupControls() {
-        const backBtn = document.getElementById('btn-back');
-        if (backBtn) {
-            backBtn.addEventListener('click', () => window.location.href = '/homepage');
+        // Chunks stay in the order the encoder emitted them, which is decode order.
+        const sequenceUs = Math.round(durations.reduce((sum, ms) => sum + ms * 1000, 0));
+        chunks.forEach((chunk, index) => {
+            if (!chunk.duration) {
+                const next = chunks[index + 1];
+                chunk.duration = (next ? next.timestamp : sequenceUs) - chunk.timestamp;
+            }
+        });
+
+        const looped = [];
+        for (let loop = 0; loop < loops; loop++) {
+            chunks.forEach(chunk => looped.push({ ...chunk, timestamp: chunk.timestamp + loop * sequenceUs }));
         }
 
-        const cameraBtn = document.getElementById('btn-camera');
-        if (cameraBtn) {
-            cameraBtn.addEventListener('click', () => window.location.href = '/');
+        const track = { codecId, width, height, description };
+        if (container === 'mp4') {
+            if (!description) throw new Error('H.264 encoder did not provide a decoder configuration');
+            return muxMP4(track, looped);
         }
+        return muxWebM(track, looped);
+    }
+};
 
-        const createBtn = document.getElementById('btn-create');
-        if (createBtn) {
-            createBtn.addEventListener('click', () => window.location.href = '/videopage');
+function readPngChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = 8;
+    while (offset < bytes.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+        offset += 12 + length;
+    }
+    return chunks;
+}
+
+function pngChunk(type, data) {
+    const typed = concatBytes([asciiBytes(type), data]);
+    return concatBytes([beBytes(data.length, 4), typed, beBytes(crc32(typed), 4)]);
+}
+
+// Builds an APNG from the browser's own PNG encoder: IDAT data of later frames is re-wrapped as fdAT.
+const ApngExporter = {
+    SIGNATURE: new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+
+    async encode(frames, options) {
+        const canvas = document.createElement('canvas');
+        canvas.width = options.width;
+        canvas.height = options.height;
+        const ctx = canvas.getContext('2d');
+
+        const parts = [this.SIGNATURE];
+        let sequence = 0;
+
+        for (let i = 0; i < frames.length; i++) {
+            await drawExportFrame(ctx, frames[i], options);
+            const png = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            const chunks = readPngChunks(new Uint8Array(await png.arrayBuffer()));
+
+            if (i === 0) {
+                parts.push(pngChunk('IHDR', chunks.find(chunk => chunk.type === 'IHDR').data));
+                parts.push(pngChunk('acTL', concatBytes([beBytes(frames.length, 4), beBytes(options.plays, 4)])));
+            }
+
+            parts.push(pngChunk('fcTL', concatBytes([
+                beBytes(sequence++, 4),
+                beBytes(options.width, 4), beBytes(options.height, 4),
+                beBytes(0, 4), beBytes(0, 4),
+                beBytes(Math.min(65535, Math.round(options.durations[i])), 2), beBytes(1000, 2),
+                beBytes(0, 1), beBytes(0, 1)
+            ])));
+
+            chunks.filter(chunk => chunk.type === 'IDAT').forEach(chunk => {
+                parts.push(i === 0
+                    ? pngChunk('IDAT', chunk.data)
+                    : pngChunk('fdAT', concatBytes([beBytes(sequence++, 4), chunk.data])));
+            });
+
+            if (options.onProgress) options.onProgress((i + 1) / frames.length);
         }
 
-        const clearBtn = document.getElementById('btn-clear');
-        if (clearBtn) {
-            clearBtn.addEventListener('click', () => {
-                if (confirm('Do you really want to delete all frames?')) {
-                    FrameStore.clearAll();
-                    this.updateUI();
+        parts.push(pngChunk('IEND', new Uint8Array(0)));
+        return new Blob(parts, { type: 'image/apng' });
+    }
+};
+
+const ExportDialog = {
+    RESOLUTIONS: {
+        '640x480': [640, 480],
+        '1280x720': [1280, 720],
+        '1920x1080': [1920, 1080],
+        '1080x1080': [1080, 1080]
+    },
+
+    open(settings) {
+        const dialog = document.getElementById('export-dialog');
+        if (!dialog) return Promise.resolve(settings);
+
+        const fields = {
+            format: document.getElementById('export-format'),
+            resolution: document.getElementById('export-resolution'),
+            width: document.getElementById('export-width'),
+            height: document.getElementById('export-height'),
+            fit: document.getElementById('export-fit'),
+            background: document.getElementById('export-background'),
+            loops: document.getElementById('export-loops'),
+            pingPong: document.getElementById('export-pingpong'),
+            annotations: document.getElementById('export-annotations')
+        };
+        const customSize = document.getElementById('export-custom-size');
+        const videoOnly = document.getElementById('export-render-options');
+
+        fields.format.value = settings.format;
+        fields.resolution.value = settings.resolution;
+        fields.width.value = settings.width;
+        fields.height.value = settings.height;
+        fields.fit.value = settings.fit;
+        fields.background.value = settings.background;
+        fields.loops.value = settings.loops;
+        fields.pingPong.checked = settings.pingPong;
+        fields.annotations.checked = settings.annotations;
+
+        const refresh = () => {
+            if (customSize) customSize.style.display = fields.resolution.value === 'custom' ? 'flex' : 'none';
+            if (videoOnly) videoOnly.classList.toggle('disabled', fields.format.value === 'zip');
+        };
+        fields.format.onchange = refresh;
+        fields.resolution.onchange = refresh;
+        refresh();
+
+        dialog.style.display = 'flex';
+
+        return new Promise(resolve => {
+            const confirmBtn = document.getElementById('btn-export-confirm');
+            const cancelBtn = document.getElementById('btn-export-cancel');
+
+            const close = (result) => {
+                dialog.style.display = 'none';
+                confirmBtn.onclick = null;
+                cancelBtn.onclick = null;
+                resolve(result);
+            };
+
+            confirmBtn.onclick = () => close({
+                format: fields.format.value,
+                resolution: fields.resolution.value,
+                width: Math.max(16, parseInt(fields.width.value) || settings.width),
+                height: Math.max(16, parseInt(fields.height.value) || settings.height),
+                fit: fields.fit.value,
+                background: fields.background.value,
+                loops: Math.max(0, parseInt(fields.loops.value) || 0),
+                pingPong: fields.pingPong.checked,
+                annotations: fields.annotations.checked
+            });
+            cancelBtn.onclick = () => close(null);
+        });
+    }
+};
+
+const GifExporter = {
+    WORKER_URL: '/JS/gif-worker.js',
+
+    async encode(frames, options) {
+        const worker = new Worker(this.WORKER_URL);
+        const result = new Promise((resolve, reject) => {
+            worker.onmessage = (e) => {
+                const message = e.data;
+                if (message.type === 'progress' && options.onProgress) {
+                    options.onProgress(message.frames / frames.length);
+                } else if (message.type === 'done') {
+                    resolve(new Blob([message.buffer], { type: 'image/gif' }));
+                } else if (message.type === 'error') {
+                    reject(new Error(message.message));
+                }
+            };
+            worker.onerror = (e) => reject(new Error(e.message || 'GIF worker failed'));
+        });
+        result.catch(() => {});
+
+        try {
+            worker.postMessage({
+                type: 'start',
+                options: {
+                    width: options.width,
+                    height: options.height,
+                    repeat: options.repeat,
+                    dither: options.dither,
+                    colors: options.colors || 256
                 }
             });
+
+            const canvas = document.createElement('canvas');
+            canvas.width = options.width;
+            canvas.height = options.height;
+            const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+            for (let i = 0; i < frames.length; i++) {
+                await drawExportFrame(ctx, frames[i], options);
+
+                const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+                worker.postMessage({ type: 'frame', pixels: pixels.buffer, duration: options.durations[i] }, [pixels.buffer]);
+            }
+
+            worker.postMessage({ type: 'finish' });
+            return await result;
+        } finally {
+            worker.terminate();
+        }
+    }
+};
+
+// Flicker reduction: each frame's black point, white point and channel means are pulled towards
+// a weighted average of its neighbours, measured from luminance histograms of the previews.
+const Deflicker = {
+    SAMPLE_SIZE: 96,
+    RADIUS: 4,
+    stats: new Map(),
+
+    async measure(frame) {
+        if (this.stats.has(frame.previewUrl)) return this.stats.get(frame.previewUrl);
+
+        const img = await loadImageElement(frame.previewUrl);
+        const scale = Math.min(1, this.SAMPLE_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+        const data = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+
+        const histogram = new Uint32Array(256);
+        const sums = [0, 0, 0];
+        for (let i = 0; i < data.length; i += 4) {
+            histogram[Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2])]++;
+            sums[0] += data[i];
+            sums[1] += data[i + 1];
+            sums[2] += data[i + 2];
         }
+
+        const pixels = data.length / 4;
+        const percentile = (fraction) => {
+            let seen = 0;
+            for (let value = 0; value < 256; value++) {
+                seen += histogram[value];
+                if (seen >= pixels * fraction) return value;
+            }
+            return 255;
+        };
+
+        const stats = { low: percentile(0.02), high: percentile(0.98), means: sums.map(sum => sum / pixels) };
+        this.stats.set(frame.previewUrl, stats);
+        return stats;
     },
 
-    updateUI() {
-        const frames = FrameStore.getFrames();
-        const grid = document.getElementById('frames-grid');
-        const createBtn = document.getElementById('btn-create');
-        const clearBtn = document.getElementById('btn-clear');
+    async analyze(frames, onProgress) {
+        const results = [];
+        for (const frame of frames) {
+            results.push(await this.measure(frame));
+            if (onProgress) onProgress(results.length, frames.length);
+        }
+        return results;
+    },
 
-        if (!grid) return;
+    // Per-channel { slopes, intercepts } in 0-255 units, or null when strength is 0.
+    corrections(stats, strength) {
+        if (strength <= 0) return stats.map(() => null);
+
+        const smooth = (index, pick) => {
+            let total = 0;
+            let weights = 0;
+            for (let offset = -this.RADIUS; offset <= this.RADIUS; offset++) {
+                const neighbour = stats[index + offset];
+                if (!neighbour) continue;
+                const weight = Math.exp(-2 * offset * offset / (this.RADIUS * this.RADIUS));
+                total += pick(neighbour) * weight;
+                weights += weight;
+            }
+            return total / weights;
+        };
+        const clamp = (value) => Math.max(0.5, Math.min(2, value));
+
+        return stats.map((frame, index) => {
+            // Levels first: stretch this frame's range onto the neighbourhood's.
+            const low = smooth(index, s => s.low);
+            const high = smooth(index, s => s.high);
+            const range = frame.high - frame.low;
+            const gain = range < 8 ? 1 : clamp((high - low) / range);
+            const offset = low - frame.low * gain;
+
+            // Then balance each channel so colour casts follow the neighbourhood too.
+            const slopes = [];
+            const intercepts = [];
+            frame.means.forEach((mean, channel) => {
+                const mapped = mean * gain + offset;
+                const balance = mapped < 1 ? 1 : clamp(smooth(index, s => s.means[channel]) / mapped);
+                slopes.push(1 + strength * (gain * balance - 1));
+                intercepts.push(strength * offset * balance);
+            });
+            return { slopes, intercepts };
+        });
+    },
 
-        if (createBtn) {
-            createBtn.disabled = frames.length === 0;
-            createBtn.textContent = `Create Animation (${frames.length} frames)`;
+    apply(ctx, rect, correction) {
+        const x = Math.max(0, Math.floor(rect.x));
+        const y = Math.max(0, Math.floor(rect.y));
+        const width = Math.min(ctx.canvas.width, Math.ceil(rect.x + rect.width)) - x;
+        const height = Math.min(ctx.canvas.height, Math.ceil(rect.y + rect.height)) - y;
+        if (width <= 0 || height <= 0) return;
+
+        const tables = correction.slopes.map((slope, channel) => {
+            const table = new Uint8ClampedArray(256);
+            for (let value = 0; value < 256; value++) table[value] = value * slope + correction.intercepts[channel];
+            return table;
+        });
+
+        const image = ctx.getImageData(x, y, width, height);
+        const data = image.data;
+        for (let i = 0; i < data.length; i += 4) {
+            data[i] = tables[0][data[i]];
+            data[i + 1] = tables[1][data[i + 1]];
+            data[i + 2] = tables[2][data[i + 2]];
         }
-        if (clearBtn) {
-            clearBtn.disabled = frames.length === 0;
+        ctx.putImageData(image, x, y);
+    },
+
+    // Playback uses the same linear map through an SVG filter, so the <img> never needs re-encoding.
+    show(element, correction) {
+        const filter = document.getElementById('deflicker-filter');
+        if (!filter || !correction) {
+            element.style.filter = '';
+            return;
         }
+        ['feFuncR', 'feFuncG', 'feFuncB'].forEach((name, channel) => {
+            const func = filter.querySelector(name);
+            func.setAttribute('slope', correction.slopes[channel]);
+            func.setAttribute('intercept', correction.intercepts[channel] / 255);
+        });
+        element.style.filter = 'url(#deflicker-filter)';
+    }
+};
 
-        if (frames.length === 0) {
-            grid.innerHTML = `
-                <div class="frames-empty">
-                    <div class="empty-icon">🖼️</div>
-                    <p class="empty-text">No frames yet</p>
-                    <p class="empty-hint">Upload images to get started</p>
-                </div>
-            `;
-            grid.classList.add('empty');
+const VideoPlayerModule = {
+    frames: [],
+    currentIndex: 0,
+    fps: 12,
+    isPlaying: false,
+    loop: true,
+    timeoutId: null,
+    exportSettings: null,
+    deflicker: 0,
+    corrections: [],
+    showOriginal: false,
+    deflickerToken: null,
+    annotator: null,
+    annotating: false,
+
+    async init() {
+        this.frames = await FrameStore.getFrames();
+
+        if (this.frames.length === 0) {
+            window.location.href = '/homepage';
             return;
         }
 
-        grid.classList.remove('empty');
-        grid.innerHTML = frames.map((frame, index) => `
-            <div class="frame-card" draggable="true" data-index="${index}" data-id="${frame.id}">
-                <div class="frame-number">#${index + 1}</div>
-                <div class="btn-drag">⋮⋮</div>
-                <img src="${frame.dataUrl}" alt="Frame ${index + 1}" class="frame-image">
-                <button class="btn-delete" data-id="${frame.id}">🗑️</button>
-            </div>
-        `).join('');
+        const settings = await ProjectStore.getSettings();
+        this.fps = settings.fps;
+        this.loop = settings.loop;
+        this.exportSettings = { ...ProjectStore.DEFAULT_SETTINGS.export, ...settings.export };
+        this.deflicker = settings.deflicker;
 
-        this.setupDragAndDrop();
-        this.setupDeleteButtons();
+        this.setupControls();
+        this.setupShortcuts();
+        this.setupSortable();
+        this.setupDeflicker();
+        this.setupAnnotations();
+        this.updateUI();
+        this.renderFrame();
+        this.updateDeflicker();
+    },
+
+    setupAnnotations() {
+        const canvas = document.getElementById('annotation-canvas');
+        const toolbar = document.getElementById('annotation-toolbar');
+        const display = document.getElementById('video-display');
+        if (!canvas || !toolbar || !display) return;
+
+        this.annotator = createAnnotator(canvas, {
+            image: display,
+            toolbar,
+            onChange: async (annotations) => {
+                const frame = this.frames[this.currentIndex];
+                if (!frame) return;
+                try {
+                    await FrameStore.setAnnotations(frame.id, annotations);
+                } catch (err) {
+                    console.error('Saving annotations failed', err);
+                }
+                await this.refreshFrames();
+            }
+        });
+
+        const btn = document.getElementById('btn-annotate');
+        if (btn) btn.addEventListener('click', () => this.toggleAnnotating());
+    },
+
+    toggleAnnotating() {
+        if (!this.annotator) return;
+        this.annotating = !this.annotating;
+        if (this.annotating) this.pause();
+        this.annotator.setEnabled(this.annotating);
+
+        const toolbar = document.getElementById('annotation-toolbar');
+        if (toolbar) toolbar.style.display = this.annotating ? 'flex' : 'none';
+        const btn = document.getElementById('btn-annotate');
+        if (btn) btn.classList.toggle('active', this.annotating);
+    },
+
+    // The frame on screen stays selected when it moves.
+    setupSortable() {
+        const timeline = document.getElementById('timeline-frames');
+        if (!timeline) return;
+
+        createSortable(timeline, {
+            items: '.timeline-frame',
+            onMove: async (ids, index) => {
+                const current = this.frames[this.currentIndex];
+                await FrameStore.moveFrames(ids, index);
+                this.frames = await FrameStore.getFrames();
+                this.currentIndex = Math.max(0, this.frames.findIndex(frame => current && frame.id === current.id));
+                this.updateUI();
+                this.renderFrame();
+                this.updateDeflicker();
+            }
+        });
     },
 
-    setupDragAndDrop() {
-        const cards = document.querySelectorAll('.frame-card');
+    setupDeflicker() {
+        const slider = document.getElementById('deflicker-strength');
+        const compare = document.getElementById('deflicker-compare');
 
-        cards.forEach(card => {
-            card.addEventListener('dragstart', () => {
-                this.draggedIndex = parseInt(card.dataset.index);
-                card.classList.add('dragging');
+        if (slider) {
+            slider.value = Math.round(this.deflicker * 100);
+            slider.addEventListener('input', () => {
+                this.deflicker = parseInt(slider.value) / 100;
+                this.updateDeflicker();
             });
+            slider.addEventListener('change', () => ProjectStore.updateSettings({ deflicker: this.deflicker }));
+        }
 
-            card.addEventListener('dragend', () => {
-                card.classList.remove('dragging');
-                this.draggedIndex = null;
+        if (compare) {
+            compare.addEventListener('change', () => {
+                this.showOriginal = compare.checked;
+                this.renderFrame();
             });
+        }
+        this.renderDeflickerStatus('');
+    },
 
-            card.addEventListener('dragover', (e) => {
-                e.preventDefault();
-                if (this.draggedIndex === null) return;
-
-                const targetIndex = parseInt(card.dataset.index);
-                if (this.draggedIndex !== targetIndex) {
-                    FrameStore.reorderFrames(this.draggedIndex, targetIndex);
-                    this.draggedIndex = targetIndex;
-                    this.updateUI();
-                }
-            });
-        });
+    // Stats are cached per image, so only new or edited frames are measured again.
+    async computeCorrections(onProgress) {
+        if (this.deflicker <= 0) return this.frames.map(() => null);
+        const stats = await Deflicker.analyze(this.frames, onProgress);
+        return Deflicker.corrections(stats, this.deflicker);
     },
 
-    setupDeleteButtons() {
-        document.querySelectorAll('.btn-delete').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                FrameStore.deleteFrame(btn.dataset.id);
-                this.updateUI();
+    async updateDeflicker() {
+        const token = this.deflickerToken = {};
+        try {
+            const corrections = await this.computeCorrections((done, total) => {
+                if (token === this.deflickerToken) this.renderDeflickerStatus(done < total ? `Analyzing ${done} / ${total}` : '');
             });
-        });
-    }
-};
-
-const VideoPlayerModule = {
-    frames: [],
-    currentIndex: 0,
-    fps: 12,
-    isPlaying: false,
-    loop: true,
-    intervalId: null,
-
-    init() {
-        this.frames = FrameStore.getFrames();
-
-        if (this.frames.length === 0) {
-            window.location.href = '/homepage';
-            return;
+            if (token !== this.deflickerToken) return;
+            this.corrections = corrections;
+            this.renderFrame();
+        } catch (err) {
+            console.error('Flicker analysis failed', err);
+            this.renderDeflickerStatus('Analysis failed');
         }
+    },
 
-        this.setupControls();
-        this.updateUI();
-        this.renderFrame();
+    renderDeflickerStatus(status) {
+        const value = document.getElementById('deflicker-value');
+        if (value) value.textContent = this.deflicker > 0 ? `${Math.round(this.deflicker * 100)}%` : 'Off';
+        const label = document.getElementById('deflicker-status');
+        if (label) label.textContent = status;
     },
 
     setupControls() {
@@ -612,6 +5004,7 @@ const VideoPlayerModule = {
             loopCheckbox.checked = this.loop;
             loopCheckbox.addEventListener('change', (e) => {
                 this.loop = e.target.checked;
+                ProjectStore.updateSettings({ loop: this.loop });
             });
         }
 
@@ -627,20 +5020,15 @@ const VideoPlayerModule = {
 
         const fpsSlider = document.getElementById('fps-slider');
         const fpsValue = document.getElementById('fps-value');
-        const durationValue = document.getElementById('duration-value');
+
+        if (fpsValue) fpsValue.textContent = `${this.fps} FPS`;
 
         if (fpsSlider) {
             fpsSlider.value = this.fps;
-            fpsSlider.addEventListener('input', (e) => {
-                this.fps = parseInt(e.target.value);
-                if (fpsValue) fpsValue.textContent = `${this.fps} FPS`;
-                if (durationValue) durationValue.textContent = `~${(this.frames.length / this.fps).toFixed(1)}s`;
-
-                if (this.isPlaying) {
-                    this.pause();
-                    this.play();
-                }
+            fpsSlider.addEventListener('change', () => {
+                ProjectStore.updateSettings({ fps: this.fps });
             });
+            fpsSlider.addEventListener('input', (e) => this.setFps(parseInt(e.target.value)));
         }
 
         const backBtn = document.getElementById('btn-back');
@@ -652,14 +5040,67 @@ const VideoPlayerModule = {
         }
     },
 
+    setupShortcuts() {
+        const changeFps = (delta) => {
+            this.setFps(this.fps + delta);
+            ProjectStore.updateSettings({ fps: this.fps });
+        };
+
+        ShortcutModule.init('video', {
+            togglePlay: { label: 'Play / pause', key: ' ', run: () => this.togglePlay() },
+            previousFrame: { label: 'Previous frame', key: 'ArrowLeft', repeat: true, run: () => this.seek(this.currentIndex - 1) },
+            nextFrame: { label: 'Next frame', key: 'ArrowRight', repeat: true, run: () => this.seek(this.currentIndex + 1) },
+            firstFrame: { label: 'Jump to start', key: 'Home', run: () => this.seek(0) },
+            lastFrame: { label: 'Jump to end', key: 'End', run: () => this.seek(this.frames.length - 1) },
+            fpsDown: { label: 'Slower (FPS −1)', key: 'ArrowDown', repeat: true, run: () => changeFps(-1) },
+            fpsUp: { label: 'Faster (FPS +1)', key: 'ArrowUp', repeat: true, run: () => changeFps(1) },
+            toggleAnnotate: { label: 'Draw annotations', key: 'a', run: () => this.toggleAnnotating() },
+            compareDeflicker: {
+                label: 'Before / after flicker reduction',
+                key: 'b',
+                run: () => {
+                    const compare = document.getElementById('deflicker-compare');
+                    compare.checked = !compare.checked;
+                    compare.dispatchEvent(new Event('change'));
+                }
+            }
+        });
+    },
+
+    setFps(fps) {
+        const slider = document.getElementById('fps-slider');
+        const min = slider ? parseInt(slider.min) : 1;
+        const max = slider ? parseInt(slider.max) : 24;
+        this.fps = Math.max(min, Math.min(max, fps));
+
+        if (slider) slider.value = this.fps;
+        const fpsValue = document.getElementById('fps-value');
+        if (fpsValue) fpsValue.textContent = `${this.fps} FPS`;
+        const durationValue = document.getElementById('duration-value');
+        if (durationValue) durationValue.textContent = `~${(this.totalDuration() / 1000).toFixed(1)}s`;
+        this.updateFrameTimes();
+
+        if (this.isPlaying) {
+            this.pause();
+            this.play();
+        }
+    },
+
+    seek(index) {
+        if (this.frames.length === 0) return;
+        this.pause();
+        this.currentIndex = Math.max(0, Math.min(this.frames.length - 1, index));
+        this.renderFrame();
+    },
+
     play() {
         if (this.frames.length === 0) return;
 
         this.isPlaying = true;
         this.updatePlayButton();
 
-        const interval = 1000 / this.fps;
-        this.intervalId = setInterval(() => {
+        // Each frame stays on screen for its own hold, so schedule one tick at a time.
+        const tick = () => {
             this.currentIndex++;
 
             if (this.currentIndex >= this.frames.length) {
@@ -673,18 +5114,42 @@ const VideoPlayerModule = {
             }
 
             this.renderFrame();
-        }, interval);
+            this.timeoutId = setTimeout(tick, frameDuration(this.frames[this.currentIndex], this.fps));
+        };
+        this.timeoutId = setTimeout(tick, frameDuration(this.frames[this.currentIndex], this.fps));
     },
 
     pause() {
         this.isPlaying = false;
-        if (this.intervalId) {
-            clearInterval(this.intervalId);
-            this.intervalId = null;
+        if (this.timeoutId) {
+            clearTimeout(this.timeoutId);
+            this.timeoutId = null;
         }
         this.updatePlayButton();
     },
 
+    totalDuration() {
+        return this.frames.reduce((total, frame) => total + frameDuration(frame, this.fps), 0);
+    },
+
+    updateFrameTimes() {
+        let elapsed = 0;
+        document.querySelectorAll('.timeline-frame .frame-time').forEach((el, index) => {
+            el.textContent = `${(elapsed / 1000).toFixed(2)}s`;
+            elapsed += frameDuration(this.frames[index], this.fps);
+        });
+    },
+
+    async refreshFrames() {
+        this.frames = await FrameStore.getFrames();
+        if (this.currentIndex >= this.frames.length) {
+            this.currentIndex = Math.max(0, this.frames.length - 1);
+        }
+        this.updateUI();
+        this.renderFrame();
+        this.updateDeflicker();
+    },
+
     togglePlay() {
         if (this.isPlaying) {
             this.pause();
@@ -712,8 +5177,10 @@ const VideoPlayerModule = {
 
         const display = document.getElementById('video-display');
         if (display) {
-            display.src = frame.dataUrl;
+            display.src = frame.url;
+            Deflicker.show(display, this.showOriginal ? null : this.corrections[this.currentIndex]);
         }
+        if (this.annotator) this.annotator.setAnnotations(frame.annotations);
 
         const indicator = document.getElementById('frame-indicator');
         if (indicator) {
@@ -734,67 +5201,23 @@ const VideoPlayerModule = {
         const timeline = document.getElementById('timeline-frames');
         if (timeline) {
             timeline.innerHTML = this.frames.map((frame, index) => `
-                <div class="timeline-frame ${index === this.currentIndex ? 'active' : ''}" 
-                     draggable="true"
-                     data-index="${index}">
+                <div class="timeline-frame ${index === this.currentIndex ? 'active' : ''}"
+                     tabindex="0"
+                     data-index="${index}"
+                     data-id="${frame.id}">
                     <span class="frame-number">#${index + 1}</span>
-                    <img src="${frame.dataUrl}" alt="Frame ${index + 1}" class="frame-thumb">
-                    <span class="frame-time">${(index / this.fps).toFixed(2)}s</span>
+                    <img src="${frame.previewUrl}" alt="Frame ${index + 1}" class="frame-thumb" draggable="false">
+                    <span class="frame-time"></span>
+                    <label class="frame-hold" title="Hold this frame for N exposures">
+                        ×<input type="number" class="frame-hold-input" min="1" max="99" value="${frame.hold}" data-id="${frame.id}">
+                    </label>
                     <button class="btn-delete-frame" data-id="${frame.id}">🗑️</button>
                 </div>
             `).join('');
 
-            let draggedIndex = null;
-            let draggedElement = null;
-
-            timeline.querySelectorAll('.timeline-frame').forEach((el, index) => {
-                el.addEventListener('dragstart', (e) => {
-                    draggedIndex = parseInt(el.dataset.index);
-                    draggedElement = el;
-                    el.classList.add('dragging');
-                    e.dataTransfer.effectAllowed = 'move';
-                });
-
-                el.addEventListener('dragend', () => {
-                    el.classList.remove('dragging');
-                    document.querySelectorAll('.timeline-frame').forEach(frame => {
-                        frame.classList.remove('drag-over');
-                    });
-                    draggedIndex = null;
-                    draggedElement = null;
-                });
-
-                el.addEventListener('dragover', (e) => {
-                    e.preventDefault();
-                    e.dataTransfer.dropEffect = 'move';
-                    if (draggedElement && draggedElement !== el) {
-                        el.classList.add('drag-over');
-                    }
-                });
-
-                el.addEventListener('dragleave', () => {
-                    el.classList.remove('drag-over');
-                });
-
-                el.addEventListener('drop', (e) => {
-                    e.preventDefault();
-                    if (draggedIndex === null) return;
-
-                    const targetIndex = parseInt(el.dataset.index);
-                    if (draggedIndex !== targetIndex) {
-                        FrameStore.reorderFrames(draggedIndex, targetIndex);
-                        draggedIndex = targetIndex;
-                        this.frames = FrameStore.getFrames();
-                        if (this.currentIndex >= this.frames.length) {
-                            this.currentIndex = this.frames.length - 1;
-                        }
-                        this.updateUI();
-                        this.renderFrame();
-                    }
-                });
-
+            timeline.querySelectorAll('.timeline-frame').forEach(el => {
                 el.addEventListener('click', (e) => {
-                    if (e.target.closest('.btn-delete-frame')) return;
+                    if (e.target.closest('.btn-delete-frame, .frame-hold')) return;
                     this.pause();
                     this.currentIndex = parseInt(el.dataset.index);
                     this.renderFrame();
@@ -802,26 +5225,30 @@ const VideoPlayerModule = {
             });
 
             timeline.querySelectorAll('.btn-delete-frame').forEach(btn => {
-                btn.addEventListener('click', (e) => {
+                btn.addEventListener('click', async (e) => {
                     e.stopPropagation();
                     if (this.frames.length <= 1) {
                         alert('At least one frame is required!');
                         return;
                     }
-                    FrameStore.deleteFrame(btn.dataset.id);
-                    this.frames = FrameStore.getFrames();
-                    if (this.currentIndex >= this.frames.length) {
-                        this.currentIndex = this.frames.length - 1;
-                    }
-                    this.updateUI();
-                    this.renderFrame();
+                    await FrameStore.deleteFrame(btn.dataset.id);
+                    await this.refreshFrames();
                 });
             });
+
+            timeline.querySelectorAll('.frame-hold-input').forEach(input => {
+                input.addEventListener('change', async () => {
+                    await FrameStore.setHold(input.dataset.id, parseInt(input.value));
+                    await this.refreshFrames();
+                });
+            });
+
+            this.updateFrameTimes();
         }
 
         const durationValue = document.getElementById('duration-value');
         if (durationValue) {
-            durationValue.textContent = `~${(this.frames.length / this.fps).toFixed(1)}s`;
+            durationValue.textContent = `~${(this.totalDuration() / 1000).toFixed(1)}s`;
         }
 
         const progressSlider = document.getElementById('progress-slider');
@@ -831,69 +5258,174 @@ const VideoPlayerModule = {
     },
 
     async downloadVideo() {
-        await this.downloadAsMP4();
+        const settings = await ExportDialog.open(this.exportSettings);
+        if (!settings) return;
+
+        this.exportSettings = settings;
+        ProjectStore.updateSettings({ export: settings });
+
+        const job = await this.createExportJob(settings);
+        if (settings.format === 'gif') {
+            await this.downloadAsGif(job);
+        } else if (settings.format === 'apng') {
+            await this.downloadAsAPNG(job);
+        } else if (settings.format === 'webm') {
+            await this.downloadAsWebM(job);
+        } else if (settings.format === 'zip') {
+            await this.downloadFramesAsZip(settings);
+        } else {
+            await this.downloadAsMP4(job);
+        }
+    },
+
+    async createExportJob(settings = this.exportSettings || ProjectStore.DEFAULT_SETTINGS.export) {
+        const corrections = await this.computeCorrections();
+        const corrected = this.frames.map((frame, index) => ({
+            ...frame,
+            correction: corrections[index],
+            annotations: settings.annotations ? frame.annotations : null
+        }));
+        const frames = settings.pingPong && corrected.length > 2
+            ? [...corrected, ...corrected.slice(1, -1).reverse()]
+            : corrected;
+
+        let [width, height] = ExportDialog.RESOLUTIONS[settings.resolution] || [settings.width, settings.height];
+        if (settings.resolution === 'source') {
+            const first = await loadImageElement(this.frames[0].url);
+            [width, height] = [first.naturalWidth, first.naturalHeight];
+        }
+
+        return {
+            frames: frames,
+            durations: frames.map(frame => frameDuration(frame, this.fps)),
+            // Video encoders need even dimensions.
+            width: Math.max(2, Math.round(width / 2) * 2),
+            height: Math.max(2, Math.round(height / 2) * 2),
+            fit: settings.fit,
+            background: settings.background,
+            loops: settings.loops
+        };
     },
 
-    async downloadAsGif() {
+    async downloadAsGif(job) {
+        job = job || await this.createExportJob();
         const btn = document.getElementById('btn-download');
         const originalText = btn.innerHTML;
         btn.innerHTML = 'Creating GIF... 0%';
         btn.disabled = true;
 
         try {
-            if (typeof GIF === 'undefined') {
-                await this.downloadFramesAsZip();
-                btn.innerHTML = originalText;
-                btn.disabled = false;
-                return;
-            }
-
-            const gif = new GIF({
-                workers: 2,
-                quality: 10,
-                width: 640,
-                height: 480,
-                workerScript: 'https://cdnjs.cloudflare.com/ajax/libs/gif.js/0.2.0/gif.worker.js'
+            const blob = await GifExporter.encode(job.frames, {
+                width: job.width,
+                height: job.height,
+                durations: job.durations,
+                fit: job.fit,
+                background: job.background,
+                // loops: 0 plays forever, otherwise the total number of plays.
+                repeat: job.loops === 0 ? 0 : (job.loops === 1 ? -1 : job.loops - 1),
+                dither: true,
+                onProgress: (progress) => {
+                    btn.innerHTML = `Creating GIF... ${Math.round(progress * 100)}%`;
+                }
             });
+            downloadBlob(blob, `onionmotion-${Date.now()}.gif`);
+        } catch (err) {
+            console.error('GIF creation failed:', err);
+            alert('Video creation not possible. Downloading frames as a ZIP archive instead.');
+            await this.downloadFramesAsZip();
+        } finally {
+            btn.innerHTML = originalText;
+            btn.disabled = false;
+        }
+    },
 
-            for (let i = 0; i < this.frames.length; i++) {
-                const img = new Image();
-                img.src = this.frames[i].dataUrl;
-                await new Promise(resolve => img.onload = resolve);
-
-                const canvas = document.createElement('canvas');
-                canvas.width = 640;
-                canvas.height = 480;
-                const ctx = canvas.getContext('2d');
-                ctx.drawImage(img, 0, 0, 640, 480);
+    async downloadAsAPNG(job) {
+        job = job || await this.createExportJob();
+        const btn = document.getElementById('btn-download');
+        const originalText = btn.innerHTML;
+        btn.innerHTML = 'Creating APNG... 0%';
+        btn.disabled = true;
 
-                gif.addFrame(ctx, { delay: 1000 / this.fps, copy: true });
-                btn.innerHTML = `Creating GIF... ${Math.round((i + 1) / this.frames.length * 100)}%`;
-            }
+        try {
+            const blob = await ApngExporter.encode(job.frames, {
+                width: job.width,
+                height: job.height,
+                durations: job.durations,
+                fit: job.fit,
+                background: job.background,
+                plays: job.loops,
+                onProgress: (progress) => {
+                    btn.innerHTML = `Creating APNG... ${Math.round(progress * 100)}%`;
+                }
+            });
+            downloadBlob(blob, `onionmotion-${Date.now()}.png`);
+        } catch (err) {
+            console.error('APNG creation failed:', err);
+            alert('APNG creation failed. Trying GIF download.');
+            await this.downloadAsGif(job);
+        } finally {
+            btn.innerHTML = originalText;
+            btn.disabled = false;
+        }
+    },
 
-            gif.on('finished', (blob) => {
-                const url = URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = `onionmotion-${Date.now()}.gif`;
-                a.click();
-                URL.revokeObjectURL(url);
+    async downloadAsWebM(job) {
+        job = job || await this.createExportJob();
+        if (!VideoExporter.isSupported()) {
+            await this.recordAsWebM(job);
+            return;
+        }
+        await this.exportWithWebCodecs('webm', job, async (err) => {
+            console.error('WebM creation failed:', err);
+            alert('Video creation failed. Trying GIF download.');
+            await this.downloadAsGif(job);
+        });
+    },
 
-                btn.innerHTML = originalText;
-                btn.disabled = false;
-            });
+    async downloadAsMP4(job) {
+        job = job || await this.createExportJob();
+        if (!VideoExporter.isSupported()) {
+            await this.recordAsMP4(job);
+            return;
+        }
+        await this.exportWithWebCodecs('mp4', job, async (err) => {
+            console.error('MP4 creation failed:', err);
+            alert('MP4 creation failed. Trying GIF download.');
+            await this.downloadAsGif(job);
+        });
+    },
 
-            gif.render();
+    async exportWithWebCodecs(container, job, onError) {
+        const btn = document.getElementById('btn-download');
+        const originalText = btn.innerHTML;
+        const label = container === 'mp4' ? 'MP4' : 'WebM';
+        btn.innerHTML = `Creating ${label}... 0%`;
+        btn.disabled = true;
 
+        try {
+            const blob = await VideoExporter.encode(job.frames, {
+                container: container,
+                width: job.width,
+                height: job.height,
+                durations: job.durations,
+                fit: job.fit,
+                background: job.background,
+                loops: Math.max(1, job.loops),
+                onProgress: (progress) => {
+                    btn.innerHTML = `Creating ${label}... ${Math.round(progress * 100)}%`;
+                }
+            });
+            downloadBlob(blob, `onionmotion-${Date.now()}.${container}`);
+            btn.innerHTML = originalText;
+            btn.disabled = false;
         } catch (err) {
-            console.error('GIF creation failed:', err);
-            await this.downloadFramesAsZip();
             btn.innerHTML = originalText;
             btn.disabled = false;
+            await onError(err);
         }
     },
 
-    async downloadAsWebM() {
+    async recordAsWebM(job) {
         const btn = document.getElementById('btn-download');
         const originalText = btn.innerHTML;
         btn.innerHTML = 'Creating video...';
@@ -901,8 +5433,8 @@ const VideoPlayerModule = {
 
         try {
             const canvas = document.createElement('canvas');
-            canvas.width = 1280;
-            canvas.height = 720;
+            canvas.width = job.width;
+            canvas.height = job.height;
             const ctx = canvas.getContext('2d');
 
             const stream = canvas.captureStream(this.fps);
@@ -928,14 +5460,10 @@ const VideoPlayerModule = {
 
             recorder.start();
 
-            for (let loop = 0; loop < 3; loop++) {
-                for (let i = 0; i < this.frames.length; i++) {
-                    const img = new Image();
-                    img.src = this.frames[i].dataUrl;
-                    await new Promise(resolve => img.onload = resolve);
-
-                    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-                    await new Promise(resolve => setTimeout(resolve, 1000 / this.fps));
+            for (let loop = 0; loop < Math.max(1, job.loops); loop++) {
+                for (let i = 0; i < job.frames.length; i++) {
+                    await drawExportFrame(ctx, job.frames[i], job);
+                    await new Promise(resolve => setTimeout(resolve, job.durations[i]));
                 }
             }
 
@@ -946,10 +5474,11 @@ const VideoPlayerModule = {
             alert('Video creation failed. Trying GIF download.');
             btn.innerHTML = originalText;
             btn.disabled = false;
+            await this.downloadAsGif(job);
         }
     },
 
-    async downloadAsMP4() {
+    async recordAsMP4(job) {
         const btn = document.getElementById('btn-download');
         const originalText = btn.innerHTML;
         btn.innerHTML = 'Creating MP4... 0%';
@@ -957,8 +5486,8 @@ const VideoPlayerModule = {
 
         try {
             const canvas = document.createElement('canvas');
-            canvas.width = 640;
-            canvas.height = 480;
+            canvas.width = job.width;
+            canvas.height = job.height;
             const ctx = canvas.getContext('2d');
 
             const stream = canvas.captureStream(this.fps);
@@ -983,15 +5512,13 @@ const VideoPlayerModule = {
 
             recorder.start();
 
-            for (let i = 0; i < this.frames.length; i++) {
-                const img = new Image();
-                img.src = this.frames[i].dataUrl;
-                await new Promise(resolve => img.onload = resolve);
-
-                ctx.drawImage(img, 0, 0, 640, 480);
-                await new Promise(resolve => setTimeout(resolve, 1000 / this.fps));
+            const total = job.frames.length * Math.max(1, job.loops);
+            for (let step = 0; step < total; step++) {
+                const i = step % job.frames.length;
+                await drawExportFrame(ctx, job.frames[i], job);
+                await new Promise(resolve => setTimeout(resolve, job.durations[i]));
 
-                const progress = Math.round((i + 1) / this.frames.length * 100);
+                const progress = Math.round((step + 1) / total * 100);
                 btn.innerHTML = `Creating MP4... ${progress}%`;
             }
 
@@ -999,63 +5526,377 @@ const VideoPlayerModule = {
 
         } catch (err) {
             console.error('MP4 creation failed:', err);
-            await this.downloadAsGif();
+            alert('MP4 creation failed. Trying GIF download.');
+            await this.downloadAsGif(job);
             btn.innerHTML = originalText;
             btn.disabled = false;
         }
     },
 
-    async downloadFramesAsZip() {
-        alert('Video creation not possible. Downloading frames individually.');
+    // Applies a flicker correction to the whole image at its own size, keeping its format where the browser can encode it.
+    async correctFrameImage(frame, correction) {
+        const img = await loadImageElement(frame.url);
+        const canvas = document.createElement('canvas');
+        canvas.width = img.naturalWidth;
+        canvas.height = img.naturalHeight;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(img, 0, 0);
+        Deflicker.apply(ctx, { x: 0, y: 0, width: canvas.width, height: canvas.height }, correction);
+        return canvasToBlob(canvas, frame.blob.type, 0.95);
+    },
+
+    // Annotations go into the manifest rather than onto the images, so an import can restore them as annotations.
+    async downloadFramesAsZip(settings = this.exportSettings || ProjectStore.DEFAULT_SETTINGS.export) {
+        const project = await ProjectStore.get();
+        const zip = createZipWriter();
+        const digits = Math.max(3, String(this.frames.length).length);
+        const corrections = await this.computeCorrections();
 
+        const manifestFrames = [];
         for (let i = 0; i < this.frames.length; i++) {
-            const a = document.createElement('a');
-            a.href = this.frames[i].dataUrl;
-            a.download = `frame-${String(i + 1).padStart(3, '0')}.png`;
-            a.click();
-            await new Promise(resolve => setTimeout(resolve, 100));
+            const frame = this.frames[i];
+            const blob = corrections[i] ? await this.correctFrameImage(frame, corrections[i]) : frame.blob;
+            const file = `frames/frame-${String(i + 1).padStart(digits, '0')}.${extensionForType(blob.type)}`;
+            await zip.addFile(file, blob, new Date(frame.timestamp));
+            manifestFrames.push({
+                index: i,
+                file: file,
+                id: frame.id,
+                type: blob.type,
+                timestamp: frame.timestamp,
+                hold: frame.hold,
+                ...(settings.annotations && frame.annotations ? { annotations: frame.annotations } : {})
+            });
         }
+
+        const manifest = {
+            format: 'onionmotion',
+            version: 1,
+            project: project ? project.name : null,
+            exportedAt: new Date().toISOString(),
+            fps: this.fps,
+            loop: this.loop,
+            frames: manifestFrames
+        };
+        await zip.addFile('manifest.json', JSON.stringify(manifest, null, 2));
+
+        downloadBlob(zip.toBlob(), `onionmotion-${Date.now()}.zip`);
     }
 };
 
 const HomepageModule = {
     init() {
-        const frames = FrameStore.getFrames();
+        this.setupProjectControls();
+        window.addEventListener('projectsUpdated', () => this.renderProjects());
+        this.renderProjects();
+    },
+
+    setupProjectControls() {
+        const select = document.getElementById('project-select');
+        if (select) {
+            select.addEventListener('change', (e) => ProjectStore.switchTo(e.target.value));
+        }
+
+        const newBtn = document.getElementById('btn-project-new');
+        if (newBtn) {
+            newBtn.addEventListener('click', async () => {
+                const name = prompt('Name of the new project:', ProjectStore.DEFAULT_NAME);
+                if (name && name.trim()) {
+                    await ProjectStore.create(name.trim());
+                }
+            });
+        }
+
+        const renameBtn = document.getElementById('btn-project-rename');
+        if (renameBtn) {
+            renameBtn.addEventListener('click', async () => {
+                const project = await ProjectStore.get();
+                const name = prompt('Rename project:', project.name);
+                if (name && name.trim()) {
+                    await ProjectStore.rename(project.id, name.trim());
+                }
+            });
+        }
+
+        const duplicateBtn = document.getElementById('btn-project-duplicate');
+        if (duplicateBtn) {
+            duplicateBtn.addEventListener('click', () => ProjectStore.duplicate(FrameStore.projectId));
+        }
+
+        const deleteBtn = document.getElementById('btn-project-delete');
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', async () => {
+                const project = await ProjectStore.get();
+                if (confirm(`Do you really want to delete "${project.name}" and all its frames?`)) {
+                    await ProjectStore.remove(project.id);
+                }
+            });
+        }
+    },
+
+    async renderProjects() {
+        const projects = await ProjectStore.list();
+        const active = projects.find(project => project.id === FrameStore.projectId);
 
         const animationStatus = document.getElementById('animation-status');
-        if (animationStatus && frames.length > 0) {
+        if (animationStatus) {
             animationStatus.style.display = 'flex';
-            const statusText = document.getElementById('status-text');
-            if (statusText) {
-                statusText.textContent = `${frames.length} frame${frames.length !== 1 ? 's' : ''} ready`;
+        }
+
+        const select = document.getElementById('project-select');
+        if (select) {
+            select.innerHTML = projects.map(project => `
+                <option value="${project.id}" ${project.id === FrameStore.projectId ? 'selected' : ''}>
+                    ${escapeHtml(project.name)}
+                </option>
+            `).join('');
+        }
+
+        const frameCount = active ? active.frameCount : 0;
+        const statusText = document.getElementById('status-text');
+        if (statusText) {
+            statusText.textContent = frameCount > 0
+                ? `${frameCount} frame${frameCount !== 1 ? 's' : ''} ready`
+                : 'No frames yet';
+        }
+
+        const viewBtn = document.getElementById('btn-view-animation');
+        if (viewBtn) {
+            viewBtn.style.display = frameCount > 0 ? 'inline-block' : 'none';
+        }
+
+        const deleteBtn = document.getElementById('btn-project-delete');
+        if (deleteBtn) {
+            deleteBtn.disabled = projects.length === 0;
+        }
+    }
+};
+
+const ShortcutModule = {
+    STORAGE_KEY: 'onionmotion_shortcuts',
+    KEY_LABELS: {
+        ' ': 'Space',
+        ArrowLeft: '←',
+        ArrowRight: '→',
+        ArrowUp: '↑',
+        ArrowDown: '↓'
+    },
+    FIXED: [
+        { label: 'Undo', key: 'Ctrl + Z' },
+        { label: 'Redo', key: 'Ctrl + Shift + Z' },
+        { label: 'Show shortcuts', key: '?' }
+    ],
+    page: null,
+    actions: {},
+    fixed: [],
+    bindings: {},
+    rebinding: null,
+
+    init(page, actions, fixed = []) {
+        this.page = page;
+        this.actions = actions;
+        this.fixed = [...fixed, ...this.FIXED];
+        this.bindings = this.load();
+
+        document.addEventListener('keydown', (e) => this.handleKey(e));
+
+        const openBtn = document.getElementById('btn-shortcuts');
+        if (openBtn) {
+            openBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.open();
+            });
+        }
+
+        const closeBtn = document.getElementById('btn-shortcuts-close');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.close());
+        }
+
+        const resetBtn = document.getElementById('btn-shortcuts-reset');
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                this.bindings = this.defaults();
+                this.save();
+                this.render();
+            });
+        }
+    },
+
+    defaults() {
+        const bindings = {};
+        Object.entries(this.actions).forEach(([name, action]) => bindings[name] = action.key);
+        return bindings;
+    },
+
+    load() {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || {};
+        } catch (err) {
+            console.warn('Ignoring unreadable shortcut settings', err);
+        }
+        const bindings = this.defaults();
+        Object.entries(stored[this.page] || {}).forEach(([name, key]) => {
+            if (name in bindings) bindings[name] = key;
+        });
+        return bindings;
+    },
+
+    save() {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || {};
+        } catch (err) {}
+        stored[this.page] = this.bindings;
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(stored));
+    },
+
+    keyFromEvent(e) {
+        return e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    },
+
+    formatKey(key) {
+        if (!key) return '—';
+        return this.KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key);
+    },
+
+    handleKey(e) {
+        if (this.rebinding) {
+            e.preventDefault();
+            if (e.key !== 'Escape') {
+                const key = this.keyFromEvent(e);
+                // A key can only do one thing, so take it away from any other action.
+                Object.keys(this.bindings).forEach(name => {
+                    if (this.bindings[name] === key) this.bindings[name] = null;
+                });
+                this.bindings[this.rebinding] = key;
+                this.save();
             }
+            this.rebinding = null;
+            this.render();
+            return;
+        }
+
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        const target = e.target;
+        if (target.closest && target.closest('textarea, select, [contenteditable="true"], input:not([type="range"]):not([type="checkbox"])')) return;
+        if (target.type === 'range' && e.key.startsWith('Arrow')) return;
+
+        const help = document.getElementById('shortcut-help');
+        const helpOpen = help && help.style.display !== 'none';
+        if (e.key === '?') {
+            e.preventDefault();
+            helpOpen ? this.close() : this.open();
+            return;
+        }
+        if (helpOpen) {
+            if (e.key === 'Escape') this.close();
+            return;
+        }
+
+        const key = this.keyFromEvent(e);
+        const name = Object.keys(this.bindings).find(action => this.bindings[action] === key);
+        if (!name) return;
+        e.preventDefault();
+        if (!e.repeat || this.actions[name].repeat) {
+            this.actions[name].run();
         }
+    },
+
+    open() {
+        const help = document.getElementById('shortcut-help');
+        if (!help) return;
+        help.style.display = 'flex';
+        this.render();
+    },
+
+    close() {
+        const help = document.getElementById('shortcut-help');
+        if (help) help.style.display = 'none';
+        this.rebinding = null;
+    },
+
+    render() {
+        const list = document.getElementById('shortcut-list');
+        if (!list) return;
+
+        list.innerHTML = Object.entries(this.actions).map(([name, action]) => `
+            <div class="shortcut-row">
+                <span class="shortcut-label">${escapeHtml(action.label)}</span>
+                <button class="shortcut-key ${this.rebinding === name ? 'listening' : ''}" data-action="${name}">
+                    ${this.rebinding === name ? 'Press a key…' : escapeHtml(this.formatKey(this.bindings[name]))}
+                </button>
+            </div>
+        `).join('') + this.fixed.map(shortcut => `
+            <div class="shortcut-row">
+                <span class="shortcut-label">${shortcut.label}</span>
+                <span class="shortcut-key fixed">${escapeHtml(shortcut.key)}</span>
+            </div>
+        `).join('');
+
+        list.querySelectorAll('button.shortcut-key').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.rebinding = btn.dataset.action;
+                btn.blur();
+                this.render();
+            });
+        });
     }
 };
 
-document.addEventListener('DOMContentLoaded', () => {
+async function renderProjectName() {
+    const label = document.getElementById('project-name');
+    if (!label) return;
+    const project = await ProjectStore.get();
+    label.textContent = project ? project.name : '';
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
     const path = window.location.pathname;
 
+    // The page works from local data while the server sync runs in the background.
+    SyncAdapter.init();
     UploadModule.init();
+    renderProjectName();
 
+    let refresh = null;
     if (path === '/' || path === '/index') {
-        setupCameraSketch();
+        setupCameraSettings();
+        setupCameraView();
         setupCameraControls();
+        setupCaptureTimer();
+        setupLoopPreview();
+        setupCameraShortcuts();
         updateCameraUI();
+        refresh = () => updateCameraUI();
     } else if (path === '/homepage') {
         HomepageModule.init();
     } else if (path === '/frames') {
         FramesPageModule.init();
+        refresh = () => FramesPageModule.updateUI();
     } else if (path === '/videopage') {
         VideoPlayerModule.init();
+        refresh = () => VideoPlayerModule.refreshFrames();
     }
+
+    if (refresh) {
+        setupHistoryShortcuts(refresh);
+        // Local changes already refresh the page themselves; only frames pulled from the server need it here.
+        window.addEventListener('framesUpdated', () => {
+            if (SyncAdapter.applyingRemote) refresh();
+        });
+    }
+    window.addEventListener('projectsUpdated', () => {
+        if (SyncAdapter.applyingRemote) renderProjectName();
+    });
 });
 
 window.addEventListener('beforeunload', () => {
-    if (window.p5Instance) {
-        window.p5Instance.remove();
+    if (window.cameraView) {
+        window.cameraView.remove();
     }
-    if (VideoPlayerModule.intervalId) {
+    if (VideoPlayerModule.timeoutId) {
         VideoPlayerModule.pause();
     }
 });
@@ -0,0 +1,340 @@
+function createByteWriter(initialSize = 1 << 16) {
+    let bytes = new Uint8Array(initialSize);
+    let length = 0;
+
+    const ensure = (extra) => {
+        if (length + extra <= bytes.length) return;
+        let size = bytes.length * 2;
+        while (size < length + extra) size *= 2;
+        const grown = new Uint8Array(size);
+        grown.set(bytes.subarray(0, length));
+        bytes = grown;
+    };
+
+    return {
+        byte(value) {
+            ensure(1);
+            bytes[length++] = value & 0xff;
+        },
+
+        short(value) {
+            this.byte(value);
+            this.byte(value >> 8);
+        },
+
+        string(text) {
+            for (let i = 0; i < text.length; i++) this.byte(text.charCodeAt(i));
+        },
+
+        bytes(values) {
+            ensure(values.length);
+            bytes.set(values, length);
+            length += values.length;
+        },
+
+        result() {
+            return bytes.slice(0, length);
+        }
+    };
+}
+
+function colorKey(r, g, b) {
+    return ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+}
+
+function expandChannel(value) {
+    return (value << 3) | (value >> 2);
+}
+
+function createBox(colors, histogram) {
+    const min = [31, 31, 31];
+    const max = [0, 0, 0];
+    let count = 0;
+
+    colors.forEach(key => {
+        const channels = [key >> 10, (key >> 5) & 31, key & 31];
+        channels.forEach((value, axis) => {
+            if (value < min[axis]) min[axis] = value;
+            if (value > max[axis]) max[axis] = value;
+        });
+        count += histogram[key];
+    });
+
+    const ranges = max.map((value, axis) => value - min[axis]);
+    const axis = ranges.indexOf(Math.max(...ranges));
+    return { colors, count, axis, range: ranges[axis] };
+}
+
+function splitBox(box, histogram) {
+    const shift = [10, 5, 0][box.axis];
+    const sorted = box.colors.slice().sort((a, b) => ((a >> shift) & 31) - ((b >> shift) & 31));
+
+    let seen = 0;
+    let split = 1;
+    for (let i = 0; i < sorted.length - 1; i++) {
+        seen += histogram[sorted[i]];
+        split = i + 1;
+        if (seen >= box.count / 2) break;
+    }
+
+    return [
+        createBox(sorted.slice(0, split), histogram),
+        createBox(sorted.slice(split), histogram)
+    ];
+}
+
+// Median cut over a 15-bit colour histogram of the frame.
+function quantize(pixels, maxColors) {
+    const histogram = new Uint32Array(32768);
+    const step = Math.max(1, Math.floor(pixels.length / 4 / 65536));
+    for (let i = 0; i < pixels.length; i += 4 * step) {
+        histogram[colorKey(pixels[i], pixels[i + 1], pixels[i + 2])]++;
+    }
+
+    const colors = [];
+    for (let key = 0; key < histogram.length; key++) {
+        if (histogram[key] > 0) colors.push(key);
+    }
+
+    let boxes = [createBox(colors, histogram)];
+    while (boxes.length < maxColors) {
+        let best = -1;
+        let bestScore = 0;
+        boxes.forEach((box, index) => {
+            const score = box.count * (box.range + 1);
+            if (box.colors.length > 1 && score > bestScore) {
+                best = index;
+                bestScore = score;
+            }
+        });
+        if (best === -1) break;
+        boxes.splice(best, 1, ...splitBox(boxes[best], histogram));
+    }
+
+    return boxes.map(box => {
+        const sum = [0, 0, 0];
+        box.colors.forEach(key => {
+            const weight = histogram[key];
+            sum[0] += expandChannel(key >> 10) * weight;
+            sum[1] += expandChannel((key >> 5) & 31) * weight;
+            sum[2] += expandChannel(key & 31) * weight;
+        });
+        return sum.map(value => Math.round(value / Math.max(1, box.count)));
+    });
+}
+
+function createColorMap(palette) {
+    const cache = new Int16Array(32768).fill(-1);
+
+    return (r, g, b) => {
+        const key = colorKey(r, g, b);
+        if (cache[key] !== -1) return cache[key];
+
+        const kr = expandChannel(key >> 10);
+        const kg = expandChannel((key >> 5) & 31);
+        const kb = expandChannel(key & 31);
+        let best = 0;
+        let bestDistance = Infinity;
+        for (let i = 0; i < palette.length; i++) {
+            const dr = palette[i][0] - kr;
+            const dg = palette[i][1] - kg;
+            const db = palette[i][2] - kb;
+            const distance = dr * dr * 2 + dg * dg * 4 + db * db * 3;
+            if (distance < bestDistance) {
+                best = i;
+                bestDistance = distance;
+            }
+        }
+        cache[key] = best;
+        return best;
+    };
+}
+
+function mapPixels(pixels, width, height, palette, dither) {
+    const lookup = createColorMap(palette);
+    const indices = new Uint8Array(width * height);
+
+    if (!dither) {
+        for (let i = 0, p = 0; i < indices.length; i++, p += 4) {
+            indices[i] = lookup(pixels[p], pixels[p + 1], pixels[p + 2]);
+        }
+        return indices;
+    }
+
+    // Floyd-Steinberg error diffusion.
+    const buffer = new Float32Array(width * height * 3);
+    for (let i = 0, p = 0; i < indices.length; i++, p += 4) {
+        buffer[i * 3] = pixels[p];
+        buffer[i * 3 + 1] = pixels[p + 1];
+        buffer[i * 3 + 2] = pixels[p + 2];
+    }
+
+    const spread = (x, y, errors, factor) => {
+        if (x < 0 || x >= width || y >= height) return;
+        const offset = (y * width + x) * 3;
+        buffer[offset] += errors[0] * factor;
+        buffer[offset + 1] += errors[1] * factor;
+        buffer[offset + 2] += errors[2] * factor;
+    };
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const r = Math.max(0, Math.min(255, Math.round(buffer[i * 3])));
+            const g = Math.max(0, Math.min(255, Math.round(buffer[i * 3 + 1])));
+            const b = Math.max(0, Math.min(255, Math.round(buffer[i * 3 + 2])));
+            const index = lookup(r, g, b);
+            indices[i] = index;
+
+            const errors = [r - palette[index][0], g - palette[index][1], b - palette[index][2]];
+            spread(x + 1, y, errors, 7 / 16);
+            spread(x - 1, y + 1, errors, 3 / 16);
+            spread(x, y + 1, errors, 5 / 16);
+            spread(x + 1, y + 1, errors, 1 / 16);
+        }
+    }
+    return indices;
+}
+
+function writeLzw(writer, indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const data = [];
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+    let buffer = 0;
+    let bufferBits = 0;
+
+    const emit = (code) => {
+        buffer |= code << bufferBits;
+        bufferBits += codeSize;
+        while (bufferBits >= 8) {
+            data.push(buffer & 0xff);
+            buffer >>>= 8;
+            bufferBits -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const index = indices[i];
+        const key = (prefix << 8) | index;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode === 4096) {
+            emit(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = index;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bufferBits > 0) data.push(buffer & 0xff);
+
+    writer.byte(minCodeSize);
+    for (let offset = 0; offset < data.length; offset += 255) {
+        const chunk = data.slice(offset, offset + 255);
+        writer.byte(chunk.length);
+        writer.bytes(chunk);
+    }
+    writer.byte(0);
+}
+
+function createGifEncoder(options) {
+    const writer = createByteWriter();
+    const width = options.width;
+    const height = options.height;
+    const maxColors = Math.max(2, Math.min(256, options.colors || 256));
+    let elapsedMs = 0;
+    let elapsedCs = 0;
+    let frameCount = 0;
+
+    writer.string('GIF89a');
+    writer.short(width);
+    writer.short(height);
+    writer.byte(0x70);
+    writer.byte(0);
+    writer.byte(0);
+
+    // repeat: -1 plays once, 0 loops forever, n repeats n more times.
+    if (options.repeat >= 0) {
+        writer.bytes([0x21, 0xff, 0x0b]);
+        writer.string('NETSCAPE2.0');
+        writer.bytes([0x03, 0x01]);
+        writer.short(options.repeat);
+        writer.byte(0);
+    }
+
+    return {
+        get frameCount() {
+            return frameCount;
+        },
+
+        addFrame(pixels, durationMs) {
+            const palette = quantize(pixels, maxColors);
+            const indices = mapPixels(pixels, width, height, palette, options.dither);
+
+            let tableBits = 1;
+            while ((1 << tableBits) < palette.length) tableBits++;
+
+            // Round against the running total so per-frame rounding errors don't accumulate.
+            elapsedMs += durationMs;
+            const delay = Math.max(1, Math.round(elapsedMs / 10) - elapsedCs);
+            elapsedCs += delay;
+
+            writer.bytes([0x21, 0xf9, 0x04, 0x04]);
+            writer.short(delay);
+            writer.bytes([0, 0]);
+
+            writer.byte(0x2c);
+            writer.short(0);
+            writer.short(0);
+            writer.short(width);
+            writer.short(height);
+            writer.byte(0x80 | (tableBits - 1));
+            for (let i = 0; i < (1 << tableBits); i++) {
+                writer.bytes(palette[i] || [0, 0, 0]);
+            }
+
+            writeLzw(writer, indices, Math.max(2, tableBits));
+            frameCount++;
+        },
+
+        finish() {
+            writer.byte(0x3b);
+            return writer.result();
+        }
+    };
+}
+
+let encoder = null;
+
+self.onmessage = (e) => {
+    const message = e.data;
+    try {
+        if (message.type === 'start') {
+            encoder = createGifEncoder(message.options);
+        } else if (message.type === 'frame') {
+            encoder.addFrame(new Uint8ClampedArray(message.pixels), message.duration);
+            self.postMessage({ type: 'progress', frames: encoder.frameCount });
+        } else if (message.type === 'finish') {
+            const bytes = encoder.finish();
+            self.postMessage({ type: 'done', buffer: bytes.buffer }, [bytes.buffer]);
+            encoder = null;
+        }
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};
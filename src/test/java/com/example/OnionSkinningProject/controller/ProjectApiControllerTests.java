@@ -0,0 +1,108 @@
+package com.example.OnionSkinningProject.controller;
+
+import org.junit.jupiter.api.Test;
+import org.springframework.beans.factory.annotation.Autowired;
+import org.springframework.boot.test.context.SpringBootTest;
+import org.springframework.boot.webmvc.test.autoconfigure.AutoConfigureMockMvc;
+import org.springframework.http.MediaType;
+import org.springframework.mock.web.MockMultipartFile;
+import org.springframework.test.web.servlet.MockMvc;
+
+import static org.hamcrest.Matchers.hasSize;
+import static org.springframework.test.web.servlet.request.MockMvcRequestBuilders.delete;
+import static org.springframework.test.web.servlet.request.MockMvcRequestBuilders.get;
+import static org.springframework.test.web.servlet.request.MockMvcRequestBuilders.multipart;
+import static org.springframework.test.web.servlet.request.MockMvcRequestBuilders.post;
+import static org.springframework.test.web.servlet.request.MockMvcRequestBuilders.put;
+import static org.springframework.test.web.servlet.result.MockMvcResultMatchers.content;
+import static org.springframework.test.web.servlet.result.MockMvcResultMatchers.jsonPath;
+import static org.springframework.test.web.servlet.result.MockMvcResultMatchers.status;
+
+@SpringBootTest(properties = "spring.datasource.url=jdbc:h2:mem:api-tests")
+@AutoConfigureMockMvc
+class ProjectApiControllerTests {
+
+	@Autowired
+	private MockMvc mockMvc;
+
+	@Test
+	void uploadsReordersAndDeletesFrames() throws Exception {
+		mockMvc.perform(post("/api/projects")
+						.contentType(MediaType.APPLICATION_JSON)
+						.content("{\"id\":\"project-test\",\"name\":\"Test\",\"settings\":{\"fps\":8,\"loop\":false}}"))
+				.andExpect(status().isCreated())
+				.andExpect(jsonPath("$.settings.fps").value(8));
+
+		for (String id : new String[] { "frame-a", "frame-b", "frame-c" }) {
+			mockMvc.perform(multipart("/api/projects/project-test/frames")
+							.file(new MockMultipartFile("file", id + ".png", "image/png", id.getBytes()))
+							.param("frameId", id))
+					.andExpect(status().isCreated());
+		}
+
+		mockMvc.perform(multipart("/api/projects/project-test/frames")
+						.file(new MockMultipartFile("file", "frame-x.png", "image/png", "frame-x".getBytes()))
+						.param("frameId", "frame-x")
+						.param("edits", "{\"brightness\":"))
+				.andExpect(status().isBadRequest());
+
+		mockMvc.perform(multipart("/api/projects/project-test/frames")
+						.file(new MockMultipartFile("file", "frame-x.png", "image/png", "frame-x".getBytes()))
+						.param("frameId", "frame-x")
+						.param("annotations", "[{\"type\":"))
+				.andExpect(status().isBadRequest());
+
+		mockMvc.perform(put("/api/projects/project-test/frames/order")
+						.contentType(MediaType.APPLICATION_JSON)
+						.content("[\"frame-c\",\"frame-a\",\"frame-b\"]"))
+				.andExpect(status().isOk())
+				.andExpect(jsonPath("$[0].id").value("frame-c"))
+				.andExpect(jsonPath("$[2].id").value("frame-b"));
+
+		mockMvc.perform(put("/api/projects/project-test/frames/frame-b/hold")
+						.contentType(MediaType.APPLICATION_JSON)
+						.content("3"))
+				.andExpect(status().isOk())
+				.andExpect(jsonPath("$.hold").value(3))
+				.andExpect(jsonPath("$.position").value(2));
+
+		mockMvc.perform(put("/api/projects/project-test/frames/frame-c/edits")
+						.contentType(MediaType.APPLICATION_JSON)
+						.content("{\"brightness\":20,\"crop\":{\"aspect\":\"1:1\"}}"))
+				.andExpect(status().isOk())
+				.andExpect(jsonPath("$.edits.brightness").value(20))
+				.andExpect(jsonPath("$.edits.crop.aspect").value("1:1"));
+
+		mockMvc.perform(put("/api/projects/project-test/frames/frame-b/annotations")
+						.contentType(MediaType.APPLICATION_JSON)
+						.content("[{\"type\":\"text\",\"color\":\"#ff0000\",\"size\":24,\"x\":0.5,\"y\":0.25,\"text\":\"Hi\"}]"))
+				.andExpect(status().isOk())
+				.andExpect(jsonPath("$.annotations", hasSize(1)))
+				.andExpect(jsonPath("$.annotations[0].text").value("Hi"));
+
+		mockMvc.perform(get("/api/projects/project-test/frames/frame-a/image"))
+				.andExpect(status().isOk())
+				.andExpect(content().contentType(MediaType.IMAGE_PNG))
+				.andExpect(content().bytes("frame-a".getBytes()));
+
+		mockMvc.perform(delete("/api/projects/project-test/frames/frame-a"))
+				.andExpect(status().isNoContent());
+
+		mockMvc.perform(get("/api/projects/project-test/frames"))
+				.andExpect(jsonPath("$", hasSize(2)))
+				.andExpect(jsonPath("$[1].position").value(1))
+				.andExpect(jsonPath("$[1].hold").value(3))
+				.andExpect(jsonPath("$[0].hold").value(1))
+				.andExpect(jsonPath("$[0].edits.brightness").value(20))
+				.andExpect(jsonPath("$[1].edits").doesNotExist())
+				.andExpect(jsonPath("$[1].annotations[0].x").value(0.5))
+				.andExpect(jsonPath("$[0].annotations").doesNotExist());
+
+		mockMvc.perform(delete("/api/projects/project-test"))
+				.andExpect(status().isNoContent());
+
+		mockMvc.perform(get("/api/projects/project-test"))
+				.andExpect(status().isNotFound());
+	}
+
+}